@@ -0,0 +1,73 @@
+import * as Path from 'node:path';
+import * as fs from 'node:fs';
+import { parseArgs } from 'node:util';
+
+import {
+  analyzeRecording,
+  formatRecordingReportHtml,
+  formatRecordingReportMarkdown,
+} from './src/recording-report.js';
+
+const args = parseArgs({
+  options: {
+    input: {
+      type: 'string',
+      short: 'i',
+    },
+    output: {
+      type: 'string',
+      short: 'o',
+    },
+    format: {
+      type: 'string',
+    },
+    reanalyze: {
+      type: 'boolean',
+    },
+  },
+});
+
+const manifestPath = args.values.input;
+if (!manifestPath || manifestPath.length < 1) {
+  console.error('raw-tracks manifest is required (-i or --input)');
+  process.exit(1);
+}
+if (!fs.existsSync(manifestPath)) {
+  console.error("input path doesn't exist: ", manifestPath);
+  process.exit(1);
+}
+
+// format defaults to the output file's extension, or markdown
+let format = args.values.format?.toLowerCase();
+if (!format && args.values.output) {
+  const ext = Path.extname(args.values.output).toLowerCase();
+  if (ext === '.html' || ext === '.htm') format = 'html';
+}
+format = format || 'md';
+if (!['md', 'html'].includes(format)) {
+  console.error('format must be either "md" or "html"');
+  process.exit(1);
+}
+
+const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+const rawTracksRoot = Path.dirname(Path.resolve(manifestPath));
+
+const report = await analyzeRecording(manifest, rawTracksRoot, {
+  minGapDurationInSecs: 0.5,
+  reanalyze: !!args.values.reanalyze,
+});
+
+const text =
+  format === 'html'
+    ? formatRecordingReportHtml(report)
+    : formatRecordingReportMarkdown(report);
+
+const outputPath =
+  args.values.output ||
+  Path.resolve(
+    rawTracksRoot,
+    `raw-tracks-report-${manifest.recordingStartTs}.${format}`
+  );
+fs.writeFileSync(outputPath, text);
+
+console.log('Report written to: %s', outputPath);
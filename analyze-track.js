@@ -4,7 +4,9 @@ import { parseArgs } from 'node:util';
 
 //import equal from "fast-deep-equal";
 
-import { analyzeTrack } from './src/analyze-track.js';
+import { getTrackHealthVerdict } from './src/analyze-track.js';
+import { analyzeTrackCached } from './src/analysis-cache.js';
+import { parseRawTracksFilename } from './src/raw-tracks-filename.js';
 
 const args = parseArgs({
   options: {
@@ -16,24 +18,77 @@ const args = parseArgs({
       type: 'string',
       short: 's',
     },
+    'audio-levels': {
+      type: 'boolean',
+    },
+    loudness: {
+      type: 'boolean',
+    },
+    reanalyze: {
+      type: 'boolean',
+    },
+    format: {
+      type: 'string',
+      short: 'f',
+    },
+    'max-gap-duration': {
+      type: 'string',
+    },
+    'max-total-gap-duration': {
+      type: 'string',
+    },
   },
 });
 
+// exit codes
+const EXIT_INVALID_ARGS = 1;
+const EXIT_ANALYSIS_FAILED = 2;
+const EXIT_GAP_THRESHOLD_EXCEEDED = 3;
+
 const inputPath = args.values.input;
 if (!inputPath || inputPath.length < 1) {
   console.error('input is required (-i or --input)');
-  process.exit(1);
+  process.exit(EXIT_INVALID_ARGS);
 }
 if (!fs.existsSync(inputPath)) {
   console.error("input path doesn't exist: ", inputPath);
-  process.exit(1);
+  process.exit(EXIT_INVALID_ARGS);
+}
+
+const format = (args.values.format || 'table').toLowerCase();
+if (!['json', 'csv', 'table'].includes(format)) {
+  console.error('format must be one of "json", "csv" or "table"');
+  process.exit(EXIT_INVALID_ARGS);
+}
+
+const maxGapDuration = parseOptionalSecs('max-gap-duration');
+const maxTotalGapDuration = parseOptionalSecs('max-total-gap-duration');
+
+// wall-clock times are derived from the track start timestamp in the
+// raw-tracks filename, unless given explicitly on the CLI
+let trackStartTs = parseRawTracksFilename(inputPath)?.trackStartTs;
+if (args.values.startTime) {
+  trackStartTs = parseFloat(args.values.startTime);
+  if (!Number.isFinite(trackStartTs)) {
+    console.error('invalid startTime: ', args.values.startTime);
+    process.exit(EXIT_INVALID_ARGS);
+  }
 }
 
 const opts = {
   minGapDurationInSecs: 0.5,
+  analyzeAudioLevels: !!args.values['audio-levels'],
+  analyzeLoudness: !!args.values.loudness,
+  reanalyze: !!args.values.reanalyze,
 };
 
-let analysis = await analyzeTrack('analyze-run', inputPath, opts);
+let analysis;
+try {
+  analysis = await analyzeTrackCached('analyze-run', inputPath, opts);
+} catch (e) {
+  console.error('** Analysis failed: %s', e.message);
+  process.exit(EXIT_ANALYSIS_FAILED);
+}
 
 /*
 // DEBUG: used this to verify that multiple calls to ffprobe will return the same result.
@@ -63,19 +118,100 @@ if (1) {
 }
 */
 
-console.log(analysis);
+const health = getTrackHealthVerdict(analysis);
+const ranges = getReportedRanges(analysis);
 
-if (args.values.startTime) {
-  const startTs = parseFloat(args.values.startTime);
-  if (!Number.isFinite(startTs)) {
-    throw new Error('invalid startTs: ', args.values.startTime);
+if (format === 'json') {
+  console.log(
+    JSON.stringify(
+      {
+        ...analysis,
+        health,
+        trackStartTs: trackStartTs ?? null,
+        wallClockRanges: ranges.filter((r) => r.startWallClock),
+      },
+      null,
+      2
+    )
+  );
+} else if (format === 'csv') {
+  console.log('type,start,end,duration,start_wallclock,end_wallclock');
+  for (const r of ranges) {
+    console.log(
+      [
+        r.type,
+        r.start.toFixed(3),
+        r.end.toFixed(3),
+        r.duration.toFixed(3),
+        r.startWallClock ?? '',
+        r.endWallClock ?? '',
+      ].join(',')
+    );
+  }
+} else {
+  console.log(analysis);
+
+  const gapRanges = ranges.filter((r) => r.type === 'gap' && r.startWallClock);
+  if (gapRanges.length > 0) {
+    const gapTimes = gapRanges.map(
+      (r) => `  ${r.startWallClock} - gap duration ${r.duration.toFixed(3)} s`
+    );
+    console.log('Timestamps for gaps:\n\n', gapTimes.join('\n'));
+  }
+
+  console.log(
+    'Health: %s%s',
+    health.verdict,
+    health.reasons.length > 0 ? ` (${health.reasons.join(', ')})` : ''
+  );
+}
+
+const gapDurations = analysis.gaps.map((g) => g.end - g.start);
+if (maxGapDuration != null && gapDurations.some((d) => d > maxGapDuration)) {
+  console.error('Gap longer than %d s found', maxGapDuration);
+  process.exit(EXIT_GAP_THRESHOLD_EXCEEDED);
+}
+const totalGapDuration = gapDurations.reduce((acc, d) => acc + d, 0);
+if (maxTotalGapDuration != null && totalGapDuration > maxTotalGapDuration) {
+  console.error(
+    'Total gap duration %s s exceeds %d s',
+    totalGapDuration.toFixed(3),
+    maxTotalGapDuration
+  );
+  process.exit(EXIT_GAP_THRESHOLD_EXCEEDED);
+}
+
+// --- functions ---
+
+function parseOptionalSecs(argName) {
+  const str = args.values[argName];
+  if (str == null) return null;
+  const v = parseFloat(str);
+  if (!Number.isFinite(v) || v < 0) {
+    console.error(`invalid value for --${argName}: ${str}`);
+    process.exit(EXIT_INVALID_ARGS);
+  }
+  return v;
+}
+
+// gaps and audio ranges as a flat list, with wall-clock times if available
+function getReportedRanges(analysis) {
+  const sources = [
+    ['gap', analysis.gaps],
+    ['dtx', analysis.dtxRanges],
+    ['silent', analysis.silentRanges],
+    ['clipped', analysis.clippedRanges],
+  ];
+  const ranges = [];
+  for (const [type, arr] of sources) {
+    for (const { start, end } of arr ?? []) {
+      const r = { type, start, end, duration: end - start };
+      if (Number.isFinite(trackStartTs)) {
+        r.startWallClock = new Date(trackStartTs + start * 1000).toISOString();
+        r.endWallClock = new Date(trackStartTs + end * 1000).toISOString();
+      }
+      ranges.push(r);
+    }
   }
-  const gapTimes = analysis.gaps.map((gap) => {
-    const { start, end } = gap;
-    const dur = end - start;
-    const gapStartTs = startTs + start * 1000;
-    const date = new Date(gapStartTs);
-    return `  ${date.toISOString()} - gap duration ${dur.toFixed(3)} s`;
-  });
-  console.log('Timestamps for gaps:\n\n', gapTimes.join('\n'));
+  return ranges;
 }
@@ -1,13 +1,15 @@
-import * as Path from 'node:path';
 import { parseArgs } from 'node:util';
 import * as fs from 'node:fs';
 
-import { analyzeTrack } from './src/analyze-track.js';
+import { RawTracksError } from './src/errors.js';
+import { FfmpegError } from './src/ffexec.js';
+import { normalizeTracks } from './src/normalize.js';
+import { formatExecutionPlan } from './src/plan.js';
 import {
-  normalizeAudioTrack,
-  normalizeVideoTrackToM4V,
-} from './src/render-track.js';
-import { runFfmpegCommandAsync } from './src/ffexec.js';
+  getDefaultProgressFormat,
+  kProgressFormats,
+} from './src/progress.js';
+import { exitOnTerminationSignals } from './src/workspace.js';
 
 const args = parseArgs({
   options: {
@@ -23,97 +25,281 @@ const args = parseArgs({
     'audio-codec': {
       type: 'string',
     },
+    'sample-rate': {
+      type: 'string',
+    },
+    channels: {
+      type: 'string',
+    },
+    'bit-depth': {
+      type: 'string',
+    },
+    reanalyze: {
+      type: 'boolean',
+    },
+    'tmp-dir': {
+      type: 'string',
+    },
+    'keep-tmp': {
+      type: 'boolean',
+    },
+    'dry-run': {
+      type: 'boolean',
+    },
+    timeout: {
+      type: 'string',
+    },
+    progress: {
+      type: 'string',
+    },
+    'video-profile': {
+      type: 'string',
+    },
+    'video-codec': {
+      type: 'string',
+    },
+    crf: {
+      type: 'string',
+    },
+    'video-bitrate': {
+      type: 'string',
+    },
+    preset: {
+      type: 'string',
+    },
+    keyint: {
+      type: 'string',
+    },
+    align: {
+      type: 'string',
+    },
+    manifest: {
+      type: 'string',
+    },
+    'video-sync-offset': {
+      type: 'string',
+    },
+    'audio-sync-offset': {
+      type: 'string',
+    },
+    from: {
+      type: 'string',
+    },
+    to: {
+      type: 'string',
+    },
+    fps: {
+      type: 'string',
+    },
+    'fps-conversion': {
+      type: 'string',
+    },
+    fit: {
+      type: 'string',
+    },
+    'output-size': {
+      type: 'string',
+    },
+    'gap-fill': {
+      type: 'string',
+    },
+    'gap-image': {
+      type: 'string',
+    },
+    'participant-name': {
+      type: 'string',
+    },
+    'correct-drift': {
+      type: 'boolean',
+    },
+    'audio-preset': {
+      type: 'string',
+    },
+    'loudness-target': {
+      type: 'string',
+    },
+    highpass: {
+      type: 'string',
+    },
+    denoise: {
+      type: 'string',
+    },
+    limiter: {
+      type: 'string',
+    },
+    gain: {
+      type: 'string',
+    },
   },
 });
 
-if (args.values.input.length < 1) {
+// exit codes
+const EXIT_INVALID_ARGS = 1;
+// an input codec or a requested encoder isn't supported by the local ffmpeg
+const EXIT_UNSUPPORTED = 4;
+const EXIT_FFMPEG_FAILED = 6;
+
+if (!args.values.input?.length) {
   console.error(
     'input is required using -i (can provide multiple files in order to combine audio and video)'
   );
-  process.exit(1);
+  process.exit(EXIT_INVALID_ARGS);
 }
 
-const outputDir = args.values.output_dir || Path.dirname(args.values.input[0]);
-if (args.values.output_dir) {
-  fs.mkdirSync(outputDir, { recursive: true });
-}
+exitOnTerminationSignals();
 
-const audioCodec = (args.values['audio-codec'] || 'aac').toLowerCase();
-if (!['aac', 'wav'].includes(audioCodec)) {
-  console.error('audio-codec must be either "aac" or "wav"');
-  process.exit(1);
+// progress is shown as a bar on a terminal, and otherwise written as
+// JSON lines. the format can also be set with --progress
+const progressFormat = args.values.progress?.toLowerCase();
+if (progressFormat != null && !kProgressFormats.includes(progressFormat)) {
+  console.error(
+    'invalid value for --progress: %s, expected one of: %s',
+    args.values.progress,
+    kProgressFormats.join(', ')
+  );
+  process.exit(EXIT_INVALID_ARGS);
 }
 
-let videoPath;
-let audioPath;
-let combinedOutputPath;
+let manifest;
+if (args.values.manifest) {
+  try {
+    manifest = JSON.parse(fs.readFileSync(args.values.manifest, 'utf-8'));
+  } catch (e) {
+    console.error('Error reading manifest: %s', e.message);
+    process.exit(EXIT_INVALID_ARGS);
+  }
+}
 
-for (const inputPath of args.values.input) {
-  if (!fs.existsSync(inputPath)) {
-    console.error("input path doesn't exist: ", inputPath);
-    process.exit(1);
+// a number, or 'auto' to use the track's measured capture rate.
+// if not set, the rate declared in the track is used
+let frameRate;
+if (args.values.fps?.toLowerCase() === 'auto') {
+  frameRate = 'auto';
+} else {
+  frameRate = parseOptionalNumber('fps');
+  if (frameRate === 0) {
+    console.error('invalid value for --fps: 0');
+    process.exit(EXIT_INVALID_ARGS);
   }
-  const basename = Path.basename(inputPath, Path.extname(inputPath));
+}
 
-  const analysis = await analyzeTrack(`analyze_${basename}`, inputPath);
+// seconds that a single ffmpeg run may take before it's stopped
+const ffmpegTimeoutSecs = parseOptionalNumber('timeout');
+if (ffmpegTimeoutSecs === 0) {
+  console.error('invalid value for --timeout: 0');
+  process.exit(EXIT_INVALID_ARGS);
+}
 
-  if (analysis.isVideo) {
-    const videoOutputPath = Path.resolve(
-      outputDir,
-      basename + '_normalized.m4v'
-    );
+// with --dry-run, the inputs are analyzed and the plan is printed instead
+// of writing anything. it's a JSON line with --progress json
+const dryRun = !!args.values['dry-run'];
 
-    await normalizeVideoTrackToM4V(
-      basename,
-      analysis,
-      inputPath,
-      videoOutputPath
-    );
-    videoPath = videoOutputPath;
-    combinedOutputPath = Path.resolve(outputDir, basename + '_combined.mp4');
-  } else {
-    const audioExt = audioCodec === 'wav' ? '.wav' : '.aac';
-    const audioOutputPath = Path.resolve(
-      outputDir,
-      basename + '_normalized' + audioExt
-    );
+try {
+  const { plan } = await normalizeTracks({
+    inputs: args.values.input,
+    outputDir: args.values.output_dir,
+    audio: {
+      codec: args.values['audio-codec']?.toLowerCase(),
+      sampleRate: parseOptionalNumber('sample-rate'),
+      channels: parseOptionalNumber('channels'),
+      bitDepth: parseOptionalNumber('bit-depth'),
+    },
+    video: {
+      profile: args.values['video-profile']?.toLowerCase(),
+      codec: args.values['video-codec']?.toLowerCase(),
+      crf: parseOptionalNumber('crf'),
+      bitrate: args.values['video-bitrate'],
+      preset: args.values.preset,
+      keyframeInterval: parseOptionalNumber('keyint'),
+    },
+    cleanup: {
+      preset: args.values['audio-preset']?.toLowerCase(),
+      loudnessTarget: parseOptionalNumber('loudness-target', { signed: true }),
+      highpassHz: parseOptionalNumber('highpass'),
+      denoiseDb: parseOptionalNumber('denoise'),
+      limiterDb: parseOptionalNumber('limiter', { signed: true }),
+      gainDb: parseOptionalNumber('gain', { signed: true }),
+    },
+    driftCorrection: !!args.values['correct-drift'],
+    frameRate,
+    fpsConversion: args.values['fps-conversion']?.toLowerCase(),
+    fit: args.values.fit?.toLowerCase(),
+    outputSize: args.values['output-size']?.toLowerCase(),
+    gapFill: {
+      mode: (args.values['gap-fill'] || 'black').toLowerCase(),
+      imagePath: args.values['gap-image'],
+      slateText: args.values['participant-name'],
+    },
+    // by default, each output starts where its track starts. with
+    // --align recording, outputs start at the recording start instead, so
+    // that all participants' files share the same zero point
+    align: args.values.align?.toLowerCase(),
+    manifest,
+    // manual sync corrections in milliseconds, positive values delay the track
+    videoSyncOffsetMs: parseOptionalNumber('video-sync-offset', {
+      signed: true,
+    }),
+    audioSyncOffsetMs: parseOptionalNumber('audio-sync-offset', {
+      signed: true,
+    }),
+    from: args.values.from,
+    to: args.values.to,
+    reanalyze: !!args.values.reanalyze,
+    tmpDir: args.values['tmp-dir'],
+    keepTmp: !!args.values['keep-tmp'],
+    timeoutMs: ffmpegTimeoutSecs != null ? ffmpegTimeoutSecs * 1000 : undefined,
+    progressFormat: dryRun
+      ? 'none'
+      : progressFormat ?? getDefaultProgressFormat(),
+    dryRun,
+  });
+  if (plan) printPlan(plan);
+} catch (e) {
+  exitOnError(e);
+}
 
-    await normalizeAudioTrack(
-      basename,
-      analysis,
-      inputPath,
-      audioOutputPath,
-      audioCodec
-    );
-    if (audioCodec === 'aac') {
-      audioPath = audioOutputPath;
-    }
+// --- functions ---
+
+function printPlan(plan) {
+  if (progressFormat === 'json') {
+    console.log(JSON.stringify({ type: 'plan', ...plan.toJSON() }));
+  } else {
+    console.log(formatExecutionPlan(plan));
   }
 }
 
-if (audioCodec === 'aac' && videoPath && audioPath && combinedOutputPath) {
-  const basename = Path.basename(
-    combinedOutputPath,
-    Path.extname(combinedOutputPath)
+// errors are reported without a stack trace. for ffmpeg failures, the full
+// log is removed with the temp files unless --keep-tmp is set, so show
+// its end here
+function exitOnError(e) {
+  if (e instanceof RawTracksError) {
+    console.error(e.message);
+    process.exit(
+      e.kind === 'unsupported' ? EXIT_UNSUPPORTED : EXIT_INVALID_ARGS
+    );
+  }
+  if (!(e instanceof FfmpegError)) throw e;
+  console.error('** %s', e.message.split('\n')[0]);
+  console.error('-- command: %s', e.command);
+  if (e.stderrTail.length > 0) {
+    console.error('-- last lines of ffmpeg output:');
+    for (const line of e.stderrTail) console.error('  %s', line);
+  }
+  if (e.logPath && args.values['keep-tmp']) {
+    console.error('-- full log: %s', e.logPath);
+  }
+  process.exit(
+    e.kind === 'missing-encoder' ? EXIT_UNSUPPORTED : EXIT_FFMPEG_FAILED
   );
+}
 
-  const args = [
-    '-i',
-    videoPath,
-    '-i',
-    audioPath,
-    '-c',
-    'copy',
-    '-map',
-    '0:0',
-    '-map',
-    '1:0',
-    combinedOutputPath,
-  ];
-  await runFfmpegCommandAsync(`combine_${basename}`, args);
-
-  fs.rmSync(videoPath);
-  fs.rmSync(audioPath);
-
-  console.log('combined video and audio written to: %s', combinedOutputPath);
+function parseOptionalNumber(argName, { signed = false } = {}) {
+  const str = args.values[argName];
+  if (str == null) return undefined;
+  const v = parseFloat(str);
+  if (!Number.isFinite(v) || (!signed && v < 0)) {
+    console.error(`invalid value for --${argName}: ${str}`);
+    process.exit(EXIT_INVALID_ARGS);
+  }
+  return v;
 }
@@ -2,7 +2,10 @@
 
 import * as fs from 'node:fs';
 import * as path from 'node:path';
-import { execSync } from 'node:child_process';
+import { execFileSync, execSync } from 'node:child_process';
+
+import { getSyncOffsetFilter } from '../src/audio-mix.js';
+import { findManifestTrack, getTrackSyncOffsetMs } from '../src/raw-tracks-manifest.js';
 
 const CACHE_DIR = 'liam-recordings';
 const OUTPUT_DIR = 'liam-merge-recordings';
@@ -31,16 +34,37 @@ const PERFORMANCE_CONFIG = {
   pauseBetweenBatches: 500,
 };
 
+// With --dry-run, tracks are analyzed and the commands are printed, but nothing is written
+const DRY_RUN = process.argv.includes('--dry-run');
+
 // Ensure output directory exists
-if (!fs.existsSync(OUTPUT_DIR)) {
+if (!DRY_RUN && !fs.existsSync(OUTPUT_DIR)) {
   fs.mkdirSync(OUTPUT_DIR, { recursive: true });
 }
 
+/**
+ * Find the manifest written by gen-manifest in a room folder
+ */
+function findManifest(roomPath) {
+  const manifestFile = fs.readdirSync(roomPath).find(file => /^raw-tracks-manifest-\d+\.json$/.test(file));
+  return manifestFile ? path.join(roomPath, manifestFile) : null;
+}
+
 /**
  * Generate a manifest file for a room folder
  */
 async function generateManifest(roomPath) {
-  const manifestPath = path.join(roomPath, 'manifest.json');
+  // Keep an existing manifest, it may have manual sync offsets
+  const existingManifestPath = findManifest(roomPath);
+  if (existingManifestPath) {
+    console.log(`Using existing manifest: ${existingManifestPath}`);
+    return existingManifestPath;
+  }
+
+  if (DRY_RUN) {
+    console.log(`Would run: npm run gen-manifest -- -i "${roomPath}"`);
+    return null;
+  }
 
   try {
     console.log(`Generating manifest for ${roomPath}...`);
@@ -50,11 +74,12 @@ async function generateManifest(roomPath) {
       cwd: process.cwd()
     });
 
-    if (fs.existsSync(manifestPath)) {
+    const manifestPath = findManifest(roomPath);
+    if (manifestPath) {
       console.log(`Manifest generated: ${manifestPath}`);
       return manifestPath;
     } else {
-      console.log(`Manifest not found after generation: ${manifestPath}`);
+      console.log(`Manifest not found after generation in: ${roomPath}`);
       return null;
     }
   } catch (error) {
@@ -88,6 +113,19 @@ function groupFilesByTimestamp(audioFiles) {
   return groups;
 }
 
+/**
+ * Get the manual sync offset for a track from the recording's manifest,
+ * the same one the composite mix applies
+ */
+function getSyncOffsetMs(roomPath, timestamp, audioFile) {
+  const manifestPath = path.join(roomPath, `raw-tracks-manifest-${timestamp}.json`);
+  if (!fs.existsSync(manifestPath)) return 0;
+
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+  const entry = findManifestTrack(manifest, audioFile);
+  return entry ? getTrackSyncOffsetMs(entry.participant, entry.track) : 0;
+}
+
 /**
  * Normalize a group of audio files with the same timestamp using multiple -i inputs
  */
@@ -96,7 +134,7 @@ async function normalizeTimestampGroup(roomName, timestamp, audioFiles) {
     console.log(`  Normalizing timestamp group ${timestamp} (${audioFiles.length} files)...`);
 
     const roomOutputDir = path.join(OUTPUT_DIR, roomName);
-    if (!fs.existsSync(roomOutputDir)) {
+    if (!DRY_RUN && !fs.existsSync(roomOutputDir)) {
       fs.mkdirSync(roomOutputDir, { recursive: true });
     }
 
@@ -109,14 +147,32 @@ async function normalizeTimestampGroup(roomName, timestamp, audioFiles) {
     }
 
     const normalizedFiles = [];
+    // Sync offsets of the normalized files, in milliseconds
+    const syncOffsets = [];
 
     // Normalize each file individually
     for (const audioFile of audioFiles) {
       const basename = path.basename(audioFile, path.extname(audioFile));
+      const syncOffsetMs = getSyncOffsetMs(path.dirname(audioFile), timestamp, audioFile);
       const normalizeCommand = `npm run normalize-track -- -i "${audioFile}" -o "${roomOutputDir}" --audio-codec ${CODEC}`;
 
       console.log(`    Normalizing: ${basename}`);
 
+      if (DRY_RUN) {
+        // The normalize tool prints its own plan, with the ffmpeg commands
+        try {
+          execSync(`${normalizeCommand} --dry-run`, {
+            stdio: 'inherit',
+            cwd: process.cwd()
+          });
+          normalizedFiles.push(path.join(roomOutputDir, `${basename}_normalized.${CODEC}`));
+          syncOffsets.push(syncOffsetMs);
+        } catch (error) {
+          console.error(`    Error planning ${basename}:`, error.message);
+        }
+        continue;
+      }
+
       try {
         execSync(normalizeCommand, {
           // stdio: 'inherit',
@@ -128,6 +184,7 @@ async function normalizeTimestampGroup(roomName, timestamp, audioFiles) {
         const normalizedFile = path.join(roomOutputDir, `${basename}_normalized.${CODEC}`);
         if (fs.existsSync(normalizedFile)) {
           normalizedFiles.push(normalizedFile);
+          syncOffsets.push(syncOffsetMs);
           console.log(`    Normalized: ${basename}_normalized.${CODEC}`);
         } else {
           console.log(`    Expected normalized file not found: ${basename}_normalized.${CODEC}`);
@@ -143,7 +200,11 @@ async function normalizeTimestampGroup(roomName, timestamp, audioFiles) {
     }
 
     // Now merge the normalized files using FFmpeg
-    if (normalizedFiles.length === 1) {
+    if (normalizedFiles.length === 1 && !syncOffsets[0]) {
+      if (DRY_RUN) {
+        console.log(`    Would copy ${normalizedFiles[0]} to: ${finalOutputPath}`);
+        return finalOutputPath;
+      }
       // Only one file, copy it instead of renaming to keep the normalized version
       fs.copyFileSync(normalizedFiles[0], finalOutputPath);
       console.log(`    Single file copied to: ${timestamp}_merged.${CODEC}`);
@@ -151,7 +212,9 @@ async function normalizeTimestampGroup(roomName, timestamp, audioFiles) {
       return finalOutputPath;
     } else {
       const inputs = normalizedFiles.flatMap(file => ['-i', file]);
-      const filterComplex = normalizedFiles.map((_, i) => `[${i}:0]`).join('') + `amix=inputs=${normalizedFiles.length}:duration=longest[out]`;
+      // Sync offsets are applied the same way as in the composite mix
+      const syncFilters = normalizedFiles.map((_, i) => `[${i}:0]${getSyncOffsetFilter(syncOffsets[i])}[a${i}];`);
+      const filterComplex = syncFilters.join('') + normalizedFiles.map((_, i) => `[a${i}]`).join('') + `amix=inputs=${normalizedFiles.length}:duration=longest[out]`;
 
       const codecArgs = CODEC === 'wav'
         ? ['-ar', '48000', '-ac', '1', '-c:a', 'pcm_s16le']
@@ -168,10 +231,18 @@ async function normalizeTimestampGroup(roomName, timestamp, audioFiles) {
         finalOutputPath
       ];
 
+      if (DRY_RUN) {
+        console.log(`    Would merge ${normalizedFiles.length} normalized files with:`);
+        console.log(`    ${mergeCommand.map(arg => /[\s;[\]]/.test(arg) ? `'${arg}'` : arg).join(' ')}`);
+        console.log(`    Output: ${finalOutputPath}`);
+        return finalOutputPath;
+      }
+
       console.log(`    Merging ${normalizedFiles.length} normalized files...`);
 
       try {
-        execSync(mergeCommand.join(' '), {
+        // Run without a shell, the filter has characters it would interpret
+        execFileSync(mergeCommand[0], mergeCommand.slice(1), {
           stdio: 'inherit',
           // stdio: 'pipe', // Reduce output noise --- IGNORE ---
           cwd: process.cwd()
@@ -271,7 +342,7 @@ async function processBatch(roomNames, batchNumber, totalBatches) {
  * Main function
  */
 async function main() {
-  console.log('Audio Track Merger Started');
+  console.log(`Audio Track Merger Started${DRY_RUN ? ' (dry run)' : ''}`);
   console.log(`Looking for rooms in: ${CACHE_DIR}`);
   console.log(`Output directory: ${OUTPUT_DIR}`);
 
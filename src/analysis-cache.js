@@ -0,0 +1,167 @@
+import * as fs from 'node:fs';
+import * as crypto from 'node:crypto';
+import { pipeline } from 'node:stream/promises';
+
+import { analyzeAudioLevels, analyzeLoudness } from './analyze-audio.js';
+import { analyzeTrack } from './analyze-track.js';
+
+// bump this whenever the shape or meaning of analyzeTrack's result changes,
+// so that sidecars written by older versions get ignored.
+export const kAnalysisSchemaVersion = 6;
+
+const kSidecarSuffix = '.analysis.json';
+
+// the sidecar keeps the main analysis and the optional audio sub-analyses
+// as separate parts, so that asking for more reuses what's already there.
+// these are the options that change each part's result, with the defaults
+// the analysis uses for them. a cached part is only reused if its options
+// match the ones it was written with.
+const kBaseOptDefaults = {
+  minGapDurationInSecs: 0.5,
+  fpsWindowDurationInSecs: 5,
+};
+const kLevelsOptDefaults = {
+  silenceThresholdDb: -60,
+  minSilenceDurationInSecs: 1,
+  clipThresholdDb: -0.1,
+};
+
+export function getAnalysisSidecarPath(inputPath) {
+  return inputPath + kSidecarSuffix;
+}
+
+// same as analyzeTrack, but reuses a sidecar JSON next to the input file
+// if the file hasn't changed since it was written.
+// pass `reanalyze: true` in opts to ignore any existing sidecar.
+export async function analyzeTrackCached(ctxName, inputPath, opts = {}) {
+  const { reanalyze = false, ...analysisOpts } = opts;
+  const sidecarPath = getAnalysisSidecarPath(inputPath);
+
+  const stat = fs.statSync(inputPath);
+  let entry = null;
+  if (!reanalyze) entry = await readSidecar(sidecarPath, inputPath, stat);
+  entry ??= { schemaVersion: kAnalysisSchemaVersion, file: null, parts: {} };
+  let updated = false;
+
+  const getPart = async (name, optDefaults, analyze) => {
+    const optsKey = getOptsKey(analysisOpts, optDefaults);
+    const cached = entry.parts[name];
+    if (cached && JSON.stringify(cached.opts) === JSON.stringify(optsKey)) {
+      return cached.result;
+    }
+    const result = await analyze();
+    entry.parts[name] = { opts: optsKey, result };
+    updated = true;
+    return result;
+  };
+
+  const base = await getPart('base', kBaseOptDefaults, () =>
+    analyzeTrack(ctxName, inputPath, {
+      ...analysisOpts,
+      analyzeAudioLevels: false,
+      analyzeLoudness: false,
+    })
+  );
+  const analysis = { ...base };
+  if (!analysis.isVideo && analysisOpts.analyzeAudioLevels) {
+    Object.assign(
+      analysis,
+      await getPart('levels', kLevelsOptDefaults, () =>
+        analyzeAudioLevels(`${ctxName}_levels`, inputPath, analysisOpts)
+      )
+    );
+  }
+  if (!analysis.isVideo && analysisOpts.analyzeLoudness) {
+    analysis.loudness = await getPart('loudness', {}, () =>
+      analyzeLoudness(`${ctxName}_loudness`, inputPath, analysisOpts)
+    );
+  }
+
+  if (!updated) {
+    console.error('Using cached analysis from: %s', sidecarPath);
+    return analysis;
+  }
+
+  try {
+    // a new entry needs the file's hash, an updated one already has it
+    entry.file ??= await getFileKey(inputPath, stat);
+    fs.writeFileSync(
+      sidecarPath,
+      JSON.stringify(entry, encodeNonFiniteNumbers, 2) + '\n'
+    );
+  } catch (e) {
+    // the input may be on a read-only volume, that's not fatal
+    console.warn(
+      'Unable to write analysis sidecar %s: %s',
+      sidecarPath,
+      e.message
+    );
+  }
+
+  return analysis;
+}
+
+// --- utility functions ---
+
+async function getFileKey(path, stat) {
+  const hash = crypto.createHash('sha256');
+  await pipeline(fs.createReadStream(path), hash);
+
+  return {
+    size: stat.size,
+    mtimeMs: stat.mtimeMs,
+    sha256: hash.digest('hex'),
+  };
+}
+
+// JSON has no -Infinity or NaN (e.g. the loudness of a silent track),
+// so they're written as { "$number": "-Infinity" }
+function encodeNonFiniteNumbers(key, value) {
+  if (typeof value === 'number' && !Number.isFinite(value)) {
+    return { $number: String(value) };
+  }
+  return value;
+}
+
+function decodeNonFiniteNumbers(key, value) {
+  if (typeof value?.$number === 'string' && Object.keys(value).length === 1) {
+    return Number(value.$number);
+  }
+  return value;
+}
+
+// the options that differ from the defaults
+function getOptsKey(opts, defaults) {
+  const key = {};
+  for (const [k, defaultValue] of Object.entries(defaults)) {
+    if (opts[k] != null && opts[k] !== defaultValue) key[k] = opts[k];
+  }
+  return key;
+}
+
+// returns the sidecar entry if it was written for the file as it is now.
+// hashing reads the whole file, so it's only done when the size and
+// modification time already match
+async function readSidecar(path, inputPath, stat) {
+  if (!fs.existsSync(path)) return null;
+  let entry;
+  try {
+    entry = JSON.parse(
+      fs.readFileSync(path, { encoding: 'utf-8' }),
+      decodeNonFiniteNumbers
+    );
+  } catch (e) {
+    console.warn('Ignoring unreadable analysis sidecar %s: %s', path, e.message);
+    return null;
+  }
+  if (
+    entry?.schemaVersion !== kAnalysisSchemaVersion ||
+    entry.file?.size !== stat.size ||
+    entry.file?.mtimeMs !== stat.mtimeMs
+  ) {
+    return null;
+  }
+  const fileKey = await getFileKey(inputPath, stat);
+  if (entry.file.sha256 !== fileKey.sha256) return null;
+  return entry;
+}
@@ -0,0 +1,211 @@
+import { runFfprobeCommandAsync } from './ffprobe.js';
+
+const kLevelWindowSamples = 2400; // 50ms at 48kHz
+
+// decodes the audio track and measures levels over short windows.
+// returns silent and clipped ranges in the same { start, end } shape as gaps.
+export async function analyzeAudioLevels(ctxName, inputPath, opts = {}) {
+  const {
+    silenceThresholdDb = -60,
+    minSilenceDurationInSecs = 1,
+    clipThresholdDb = -0.1,
+  } = opts;
+
+  const silences = new RangeFinder(minSilenceDurationInSecs);
+  const clipping = new RangeFinder(0);
+
+  const windowDuration = kLevelWindowSamples / 48000;
+
+  const graph = [
+    `amovie=filename=${escapeFilterValue(inputPath)}`,
+    'aresample=48000',
+    `asetnsamples=n=${kLevelWindowSamples}:p=0`,
+    'astats=metadata=1:reset=1',
+  ].join(',');
+
+  await runFfprobeCommandAsync(
+    ctxName,
+    [
+      '-f',
+      'lavfi',
+      '-i',
+      graph,
+      '-show_entries',
+      'frame=pts_time:frame_tags=lavfi.astats.Overall.RMS_level,lavfi.astats.Overall.Peak_level',
+    ],
+    {
+      onFrame: (frame) => {
+        const t = frame.pts_time;
+        if (!Number.isFinite(t)) return;
+
+        const rms = parseDb(frame['TAG:lavfi.astats.Overall.RMS_level']);
+        const peak = parseDb(frame['TAG:lavfi.astats.Overall.Peak_level']);
+
+        silences.add(t, t + windowDuration, rms < silenceThresholdDb);
+        clipping.add(t, t + windowDuration, peak >= clipThresholdDb);
+      },
+      signal: opts.signal,
+    }
+  );
+
+  return {
+    silentRanges: silences.getRanges(),
+    clippedRanges: clipping.getRanges(),
+  };
+}
+
+// measures EBU R128 loudness for the whole track.
+// returns integrated loudness (LUFS), loudness range (LU) and true peak (dBTP).
+export async function analyzeLoudness(ctxName, inputPath, opts = {}) {
+  let lastFrame = null;
+  let truePeak = 0;
+
+  const graph = [
+    `amovie=filename=${escapeFilterValue(inputPath)}`,
+    'ebur128=metadata=1:peak=true',
+  ].join(',');
+
+  await runFfprobeCommandAsync(
+    ctxName,
+    ['-f', 'lavfi', '-i', graph, '-show_entries', 'frame=pts_time:frame_tags'],
+    {
+      onFrame: (frame) => {
+        lastFrame = frame;
+
+        // peak values in the metadata are linear, one key per channel
+        for (const [key, value] of Object.entries(frame)) {
+          if (!/^TAG:lavfi\.r128\.true_peaks_ch\d+$/.test(key)) continue;
+          const peak = parseFloat(value);
+          if (Number.isFinite(peak)) truePeak = Math.max(truePeak, peak);
+        }
+      },
+      signal: opts.signal,
+    }
+  );
+
+  if (!lastFrame) {
+    console.error('No frames from loudness measurement.');
+    throw new Error('Invalid input file');
+  }
+
+  // the integrated values are cumulative, so the last frame has the final result
+  return {
+    integrated: parseDb(lastFrame['TAG:lavfi.r128.I']),
+    range: parseDb(lastFrame['TAG:lavfi.r128.LRA']),
+    truePeak: truePeak > 0 ? 20 * Math.log10(truePeak) : -Infinity,
+  };
+}
+
+// frame analyzer for the main analysis pass.
+// with Opus DTX, the sender only sends tiny packets (a few bytes) while
+// the participant is silent or muted. these runs are normal, so they're
+// reported as silence rather than as dropouts.
+export class DtxFinder {
+  constructor(minDuration = 0.2, maxPacketSize = 3) {
+    this.maxPacketSize = maxPacketSize;
+    this.ranges = new RangeFinder(minDuration);
+  }
+
+  addFrame(frame) {
+    if (frame.media_type !== 'audio') return;
+
+    const { pts_time: t, duration_time: dur = 0, pkt_size } = frame;
+    if (!Number.isFinite(t) || !Number.isFinite(pkt_size)) return;
+
+    this.ranges.add(t, t + dur, pkt_size <= this.maxPacketSize);
+  }
+
+  getRanges() {
+    return this.ranges.getRanges();
+  }
+}
+
+// frame analyzer that compares the amount of audio actually decoded
+// with the time span covered by the frames' PTS. a difference means
+// the sender's audio clock drifted against the timeline.
+export class AudioClockAnalyzer {
+  constructor() {
+    this.mediaDuration = 0;
+    this.firstPts = null;
+  }
+
+  addFrame(frame) {
+    if (frame.media_type !== 'audio') return;
+
+    const { nb_samples, sample_rate, pts_time } = frame;
+    if (this.firstPts == null && Number.isFinite(pts_time)) {
+      this.firstPts = pts_time;
+    }
+    if (nb_samples > 0 && sample_rate > 0) {
+      this.mediaDuration += nb_samples / sample_rate;
+    }
+  }
+
+  // returns { mediaDuration, timelineDuration, drift } in seconds.
+  // positive drift means there's more audio than the timeline has room for.
+  getDrift(endTime, gaps) {
+    if (this.firstPts == null || this.mediaDuration <= 0) return null;
+
+    let timelineDuration = endTime - this.firstPts;
+    for (const { start, end } of gaps) {
+      // the lead-in before the first frame isn't part of the track's own timeline
+      if (end <= this.firstPts) continue;
+      timelineDuration -= end - start;
+    }
+    return {
+      mediaDuration: this.mediaDuration,
+      timelineDuration,
+      drift: this.mediaDuration - timelineDuration,
+    };
+  }
+}
+
+// collects contiguous stretches of time where a condition holds
+class RangeFinder {
+  constructor(minDuration) {
+    this.minDuration = minDuration;
+    this.current = null;
+    this.ranges = [];
+  }
+
+  add(start, end, active) {
+    if (!active) {
+      this.close();
+      return;
+    }
+    if (this.current) {
+      this.current.end = Math.max(this.current.end, end);
+    } else {
+      this.current = { start, end };
+    }
+  }
+
+  close() {
+    const r = this.current;
+    if (r && r.end - r.start >= this.minDuration) {
+      this.ranges.push(r);
+    }
+    this.current = null;
+  }
+
+  getRanges() {
+    this.close();
+    return this.ranges;
+  }
+}
+
+// --- utility functions ---
+
+function parseDb(str) {
+  if (str == null) return NaN;
+  if (str === '-inf') return -Infinity;
+  if (str === 'inf') return Infinity;
+  return parseFloat(str);
+}
+
+// filtergraph values are escaped twice:
+// once for the filter option and once for the graph description
+function escapeFilterValue(str) {
+  const optEscaped = str.replace(/[\\':]/g, '\\$&');
+  return optEscaped.replace(/[\\'[\],;]/g, '\\$&');
+}
@@ -1,11 +1,41 @@
 import { runFfprobeCommandAsync } from './ffprobe.js';
+import {
+  analyzeAudioLevels,
+  analyzeLoudness,
+  AudioClockAnalyzer,
+  DtxFinder,
+} from './analyze-audio.js';
 
 export async function analyzeTrack(ctxName, inputPath, opts = {}) {
-  const { frames, streams } = await runFfprobeCommandAsync(ctxName, [
-    '-show_frames',
-    '-show_streams',
-    inputPath,
-  ]);
+  // frames are consumed as ffprobe writes them, so we never hold the whole list.
+  // everything we need from them is accumulated by these analyzers.
+  const frameInfo = new FrameInfoAnalyzer();
+  const videoSize = new VideoSizeAnalyzer();
+  const resolutionTimeline = new ResolutionTimelineAnalyzer();
+  const gapFinder = new GapFinder(opts.minGapDurationInSecs);
+  const frameTiming = new FrameTimingAnalyzer(opts.fpsWindowDurationInSecs);
+  const dtx = new DtxFinder();
+  const audioClock = new AudioClockAnalyzer();
+  const analyzers = [
+    frameInfo,
+    videoSize,
+    resolutionTimeline,
+    gapFinder,
+    frameTiming,
+    dtx,
+    audioClock,
+  ];
+
+  const { streams } = await runFfprobeCommandAsync(
+    ctxName,
+    ['-show_frames', '-show_streams', inputPath],
+    {
+      onFrame: (frame) => {
+        for (const a of analyzers) a.addFrame(frame);
+      },
+      signal: opts.signal,
+    }
+  );
 
   if (streams?.length !== 1) {
     console.error('Expected one stream in file, got: %d', streams?.length);
@@ -13,12 +43,12 @@ export async function analyzeTrack(ctxName, inputPath, opts = {}) {
   }
   const isVideo = streams[0]?.codec_type === 'video';
 
-  if (!frames || frames.length < 1) {
+  const { firstFrame, lastFrame, numberOfFrames } = frameInfo;
+  if (numberOfFrames < 1) {
     console.error('No frames found in file.');
     throw new Error('Invalid input file');
   }
 
-  const firstFrame = frames[0];
   if (
     !firstFrame.media_type ||
     firstFrame.media_type !== streams[0].codec_type
@@ -27,66 +57,448 @@ export async function analyzeTrack(ctxName, inputPath, opts = {}) {
     throw new Error('Invalid input file');
   }
 
-  const lastFrame = frames[frames.length - 1];
-
   const ret = {
     streamMetadata: streams[0],
     isVideo,
     mediaType: streams[0].codec_type,
-    numberOfFrames: frames.length,
+    codec: classifyCodec(streams[0]),
+    numberOfFrames,
     startTime: streams[0].start_time,
     endTime: lastFrame.pts_time + (lastFrame.duration_time || 0),
   };
 
   if (isVideo) {
-    let w = firstFrame.width;
-    let h = firstFrame.height;
-    for (let i = 1; i < frames.length; i++) {
-      w = Math.max(w, frames[i].width);
-      h = Math.max(h, frames[i].height);
-    }
-    ret.videoSize = {
-      w,
-      h,
-    };
+    ret.videoSize = videoSize.getSize();
 
-    let fps = 30;
-    const fpsStr = ret.streamMetadata.r_frame_rate;
-    let idx;
-    if ((idx = fpsStr.indexOf('/'))) {
-      let nom = parseFloat(fpsStr.substring(idx));
-      let den = parseFloat(fpsStr.substring(idx + 1));
-      if (isFinite(nom) && isFinite(den) && den > 0) {
-        fps = nom / den;
-      }
-    }
+    // simulcast layer switches show up as resolution changes within the track
+    ret.resolutionSegments = resolutionTimeline.getSegments(ret.endTime);
+    ret.resolutionLayers = getResolutionLayerShares(ret.resolutionSegments);
+
+    // phones switch between portrait and landscape when rotated
+    ret.orientationSegments = getOrientationSegments(ret.resolutionSegments);
+    ret.orientation = getOrientationSummary(
+      ret.orientationSegments,
+      ret.resolutionSegments
+    );
+
+    // the rate declared in the stream. WebRTC recordings often declare
+    // the timebase instead (e.g. 1000/1), so anything implausible is ignored
+    let fps = parseFrameRate(ret.streamMetadata.r_frame_rate);
+    if (!fps || fps > kMaxPlausibleFrameRate) fps = 30;
     ret.frameRate = fps;
   }
 
-  ret.gaps = findGaps(frames, opts.minGapDurationInSecs);
+  ret.gaps = gapFinder.getGaps();
+
+  if (isVideo) {
+    // the rate at which frames actually arrived, not counting pauses.
+    // the gap before the first frame is already outside the active duration
+    const gapDuration = ret.gaps
+      .filter((g) => g.end > firstFrame.pts_time)
+      .reduce((acc, g) => acc + g.end - g.start, 0);
+    const activeDuration = ret.endTime - firstFrame.pts_time - gapDuration;
+    ret.measuredFrameRate =
+      numberOfFrames > 1 && activeDuration > 0
+        ? numberOfFrames / activeDuration
+        : null;
+  }
+  ret.frameTiming = frameTiming.getStats();
+
+  if (!isVideo) {
+    // stretches where the sender was silent and only sent DTX packets
+    ret.dtxRanges = dtx.getRanges();
+    ret.clockDrift = audioClock.getDrift(ret.endTime, ret.gaps);
+
+    if (opts.analyzeAudioLevels) {
+      const { silentRanges, clippedRanges } = await analyzeAudioLevels(
+        `${ctxName}_levels`,
+        inputPath,
+        opts
+      );
+      ret.silentRanges = silentRanges;
+      ret.clippedRanges = clippedRanges;
+    }
+
+    if (opts.analyzeLoudness) {
+      ret.loudness = await analyzeLoudness(
+        `${ctxName}_loudness`,
+        inputPath,
+        opts
+      );
+    }
+  }
 
   return ret;
 }
 
-// --- utility functions ---
+// returns a short summary of how healthy the track's delivery looks,
+// e.g. { verdict: 'degraded', reasons: ['2 gaps totaling 3.1 s'] }
+export function getTrackHealthVerdict(analysis) {
+  const { gaps = [], frameTiming, startTime = 0, endTime = 0 } = analysis;
+  const trackDuration = Math.max(0, endTime - startTime);
+
+  const poor = [];
+  const degraded = [];
+
+  if (gaps.length > 0) {
+    const gapDuration = gaps.reduce((acc, g) => acc + (g.end - g.start), 0);
+    const desc = `${gaps.length} gap${
+      gaps.length > 1 ? 's' : ''
+    } totaling ${gapDuration.toFixed(1)} s`;
+    if (trackDuration > 0 && gapDuration / trackDuration > 0.05) poor.push(desc);
+    else degraded.push(desc);
+  }
+
+  // DTX stretches are left out: a quiet or muted participant isn't a fault
+  const dropouts = analysis.silentRanges ?? [];
+  if (dropouts.length > 0) {
+    degraded.push(`${dropouts.length} audio dropouts`);
+  }
 
-function findGaps(frames, gapMinDuration = 0.5) {
-  const arr = [];
-  const n = frames.length;
+  if (frameTiming) {
+    const { intervals, lateFrames, nonMonotonicFrames } = frameTiming;
+    const numIntervals = Math.max(1, analysis.numberOfFrames - 1);
+    const lateRatio = lateFrames / numIntervals;
 
-  for (let i = 0; i < n; i++) {
-    const frame = frames[i];
-    const prevFrame = i > 0 ? frames[i - 1] : null;
+    if (lateRatio > 0.05) {
+      poor.push(`${(lateRatio * 100).toFixed(1)}% late frames`);
+    } else if (lateRatio > 0.01) {
+      degraded.push(`${(lateRatio * 100).toFixed(1)}% late frames`);
+    }
+    if (nonMonotonicFrames > 0) {
+      degraded.push(`${nonMonotonicFrames} non-monotonic timestamps`);
+    }
+    if (intervals.p50 > 0 && intervals.p95 > 2 * intervals.p50) {
+      degraded.push(
+        `high jitter (p95 interval ${(intervals.p95 * 1000).toFixed(0)} ms)`
+      );
+    }
+  }
+
+  if (poor.length > 0) {
+    return { verdict: 'poor', reasons: [...poor, ...degraded] };
+  }
+  if (degraded.length > 0) {
+    return { verdict: 'degraded', reasons: degraded };
+  }
+  return { verdict: 'good', reasons: [] };
+}
+
+// --- frame analyzers ---
+// each one is fed every frame in order via addFrame()
+// and must keep only a bounded amount of state per frame.
+
+class FrameInfoAnalyzer {
+  constructor() {
+    this.firstFrame = null;
+    this.lastFrame = null;
+    this.numberOfFrames = 0;
+  }
+
+  addFrame(frame) {
+    if (!this.firstFrame) this.firstFrame = frame;
+    this.lastFrame = frame;
+    this.numberOfFrames++;
+  }
+}
+
+class VideoSizeAnalyzer {
+  constructor() {
+    this.w = null;
+    this.h = null;
+  }
+
+  addFrame(frame) {
+    if (frame.media_type !== 'video') return;
+
+    this.w = this.w == null ? frame.width : Math.max(this.w, frame.width);
+    this.h = this.h == null ? frame.height : Math.max(this.h, frame.height);
+  }
+
+  getSize() {
+    return {
+      w: this.w,
+      h: this.h,
+    };
+  }
+}
+
+class ResolutionTimelineAnalyzer {
+  constructor() {
+    this.segments = [];
+  }
+
+  addFrame(frame) {
+    if (frame.media_type !== 'video') return;
+
+    const { width: w, height: h, pts_time: t } = frame;
+    const cur = this.segments.at(-1);
+    if (cur && cur.w === w && cur.h === h) return;
+
+    if (cur) cur.end = t;
+    this.segments.push({ start: t, end: t, w, h });
+  }
+
+  // segments are contiguous: a pause in the video is attributed
+  // to the resolution that was active before it.
+  getSegments(endTime) {
+    const cur = this.segments.at(-1);
+    if (cur && endTime > cur.start) cur.end = endTime;
+    return this.segments;
+  }
+}
+
+class GapFinder {
+  constructor(gapMinDuration = 0.5) {
+    this.gapMinDuration = gapMinDuration;
+    this.prevFrame = null;
+    this.gaps = [];
+  }
+
+  addFrame(frame) {
+    const { prevFrame } = this;
     const prevFrameTime = prevFrame ? prevFrame.pts_time : 0;
     const intv = frame.pts_time - prevFrameTime;
-    if (intv >= gapMinDuration) {
+    if (intv >= this.gapMinDuration) {
       const prevFrameEnd = prevFrameTime + (prevFrame?.duration_time || 0);
-      arr.push({
+      this.gaps.push({
         start: prevFrameEnd,
         end: frame.pts_time,
       });
     }
+    this.prevFrame = frame;
+  }
+
+  getGaps() {
+    return this.gaps;
+  }
+}
+
+// inter-frame interval statistics.
+// intervals go into a fixed-size histogram with millisecond buckets
+// so percentiles can be computed without keeping every interval.
+const kIntervalHistogramMaxMs = 10000;
+
+class FrameTimingAnalyzer {
+  constructor(fpsWindowDuration = 5) {
+    this.fpsWindowDuration = fpsWindowDuration;
+    this.histogram = new Uint32Array(kIntervalHistogramMaxMs + 1);
+    this.prevPts = null;
+    this.numIntervals = 0;
+    this.intervalSum = 0;
+    this.maxInterval = 0;
+    this.duplicatedFrames = 0;
+    this.nonMonotonicFrames = 0;
+
+    // timestamps of frames within the current sliding window
+    this.windowPts = [];
+    this.windowStartPts = null;
+    this.fpsSamples = { n: 0, sum: 0, min: Infinity, max: 0 };
+  }
+
+  addFrame(frame) {
+    const t = frame.pts_time;
+    if (!Number.isFinite(t)) return;
+
+    this.addToFpsWindow(t);
+
+    const prev = this.prevPts;
+    if (prev == null) {
+      this.prevPts = t;
+      return;
+    }
+    const intv = t - prev;
+    if (intv < 0) {
+      // keep the previous high-water mark so one bad timestamp
+      // doesn't get counted as a long interval on the next frame
+      this.nonMonotonicFrames++;
+      return;
+    }
+    if (intv === 0) this.duplicatedFrames++;
+
+    const bucket = Math.min(Math.round(intv * 1000), kIntervalHistogramMaxMs);
+    this.histogram[bucket]++;
+    this.numIntervals++;
+    this.intervalSum += intv;
+    this.maxInterval = Math.max(this.maxInterval, intv);
+    this.prevPts = t;
+  }
+
+  addToFpsWindow(t) {
+    if (this.windowStartPts == null) this.windowStartPts = t;
+    if (t < this.windowPts.at(-1)) return;
+
+    this.windowPts.push(t);
+
+    // only sample once a full window's worth of time has been seen
+    const winStart = t - this.fpsWindowDuration;
+    if (winStart < this.windowStartPts) return;
+
+    let n = 0;
+    while (n < this.windowPts.length && this.windowPts[n] <= winStart) n++;
+    if (n > 0) this.windowPts.splice(0, n);
+
+    const fps = this.windowPts.length / this.fpsWindowDuration;
+    const s = this.fpsSamples;
+    s.n++;
+    s.sum += fps;
+    s.min = Math.min(s.min, fps);
+    s.max = Math.max(s.max, fps);
+  }
+
+  percentile(p) {
+    if (this.numIntervals < 1) return 0;
+    const target = Math.ceil(this.numIntervals * p);
+    let acc = 0;
+    for (let i = 0; i < this.histogram.length; i++) {
+      acc += this.histogram[i];
+      if (acc >= target) return i / 1000;
+    }
+    return kIntervalHistogramMaxMs / 1000;
   }
 
-  return arr;
+  getStats() {
+    const p50 = this.percentile(0.5);
+
+    // a frame is late if it took more than twice the typical interval to arrive
+    let lateFrames = 0;
+    const lateThresholdMs = Math.max(1, Math.round(p50 * 1000 * 2));
+    for (let i = lateThresholdMs + 1; i < this.histogram.length; i++) {
+      lateFrames += this.histogram[i];
+    }
+
+    const s = this.fpsSamples;
+
+    return {
+      intervals: {
+        mean: this.numIntervals > 0 ? this.intervalSum / this.numIntervals : 0,
+        p50,
+        p95: this.percentile(0.95),
+        p99: this.percentile(0.99),
+        max: this.maxInterval,
+      },
+      lateFrames,
+      duplicatedFrames: this.duplicatedFrames,
+      nonMonotonicFrames: this.nonMonotonicFrames,
+      windowedFps:
+        s.n > 0
+          ? {
+              windowDuration: this.fpsWindowDuration,
+              min: s.min,
+              mean: s.sum / s.n,
+              max: s.max,
+            }
+          : null,
+    };
+  }
+}
+
+// --- utility functions ---
+
+const kMaxPlausibleFrameRate = 120;
+
+// parses ffprobe's "30/1" or "30000/1001" format
+function parseFrameRate(str) {
+  if (!str) return null;
+  const [num, den = 1] = String(str).split('/').map(parseFloat);
+  if (!Number.isFinite(num) || !Number.isFinite(den) || num <= 0 || den <= 0) {
+    return null;
+  }
+  return num / den;
+}
+
+const kCodecFamiliesByName = {
+  vp8: 'vp8',
+  vp9: 'vp9',
+  h264: 'h264',
+  av1: 'av1',
+  opus: 'opus',
+};
+
+function classifyCodec(stream) {
+  const name = stream.codec_name ?? 'unknown';
+  const codec = {
+    name,
+    family: kCodecFamiliesByName[name] ?? 'other',
+  };
+  if (stream.profile) codec.profile = stream.profile;
+  if (stream.pix_fmt) codec.pixelFormat = stream.pix_fmt;
+  if (stream.sample_fmt) codec.sampleFormat = stream.sample_fmt;
+  return codec;
+}
+
+// returns time spent at each resolution, largest resolution first
+function getResolutionLayerShares(segments) {
+  const layersByKey = new Map();
+  let total = 0;
+
+  for (const { start, end, w, h } of segments) {
+    const key = `${w}x${h}`;
+    const layer = layersByKey.get(key) ?? { w, h, duration: 0, share: 0 };
+    layer.duration += end - start;
+    total += end - start;
+    layersByKey.set(key, layer);
+  }
+
+  const layers = [...layersByKey.values()];
+  for (const layer of layers) {
+    layer.share = total > 0 ? layer.duration / total : 0;
+  }
+  return layers.sort((a, b) => b.w * b.h - a.w * a.h);
+}
+
+function getOrientation(w, h) {
+  if (w > h) return 'landscape';
+  if (h > w) return 'portrait';
+  return 'square';
+}
+
+// merges the resolution segments into runs of the same orientation
+function getOrientationSegments(resolutionSegments) {
+  const segments = [];
+  for (const { start, end, w, h } of resolutionSegments) {
+    const orientation = getOrientation(w, h);
+    const cur = segments.at(-1);
+    if (cur && cur.orientation === orientation) {
+      cur.end = end;
+    } else {
+      segments.push({ start, end, orientation });
+    }
+  }
+  return segments;
+}
+
+// returns e.g.:
+//   { dominant: 'landscape', changes: 2,
+//     shares: { landscape: 0.8, portrait: 0.2 },
+//     sizes: { landscape: { w: 1280, h: 720 }, portrait: { w: 720, h: 1280 } } }
+// where sizes are the max dimensions seen in each orientation.
+function getOrientationSummary(orientationSegments, resolutionSegments) {
+  const durations = {};
+  const sizes = {};
+  let total = 0;
+
+  for (const { start, end, orientation } of orientationSegments) {
+    durations[orientation] = (durations[orientation] ?? 0) + end - start;
+    total += end - start;
+  }
+  for (const { w, h } of resolutionSegments) {
+    const orientation = getOrientation(w, h);
+    const size = sizes[orientation] ?? { w, h };
+    sizes[orientation] = { w: Math.max(size.w, w), h: Math.max(size.h, h) };
+  }
+
+  const shares = {};
+  let dominant = null;
+  for (const [orientation, duration] of Object.entries(durations)) {
+    shares[orientation] = total > 0 ? duration / total : 0;
+    if (!dominant || duration > durations[dominant]) dominant = orientation;
+  }
+
+  return {
+    dominant,
+    changes: Math.max(0, orientationSegments.length - 1),
+    shares,
+    sizes,
+  };
 }
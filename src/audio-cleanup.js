@@ -0,0 +1,116 @@
+// optional processing applied to audio tracks during normalization.
+// all stages are off when their value is null.
+//   gainDb: fixed gain applied first, in dB
+//   highpassHz: high-pass filter cutoff
+//   denoiseDb: amount of FFT noise reduction
+//   loudnessTarget: integrated loudness to normalize to, in LUFS
+//   limiterDb: peak ceiling for the final limiter, in dBFS
+const kAudioCleanupPresets = {
+  raw: {},
+  podcast: {
+    highpassHz: 80,
+    denoiseDb: 12,
+    loudnessTarget: -16,
+    limiterDb: -1,
+  },
+  // EBU R128 delivery level
+  broadcast: {
+    highpassHz: 60,
+    loudnessTarget: -23,
+    limiterDb: -1,
+  },
+};
+
+export const kAudioCleanupPresetNames = Object.keys(kAudioCleanupPresets);
+
+const kStageKeys = [
+  'gainDb',
+  'highpassHz',
+  'denoiseDb',
+  'loudnessTarget',
+  'limiterDb',
+];
+
+// returns a chain from a preset name and optional per-stage overrides.
+// an override of 0 turns off the stage (except for gain and limiter, where
+// 0 dB is meaningful; pass null in code to turn those off).
+export function resolveAudioCleanupChain(opts = {}) {
+  const name = opts.preset ?? 'raw';
+  const preset = kAudioCleanupPresets[name];
+  if (!preset) {
+    const expected = kAudioCleanupPresetNames.join(', ');
+    throw new Error(
+      `Unknown audio preset "${name}", expected one of: ${expected}`
+    );
+  }
+
+  const chain = { preset: name };
+  for (const key of kStageKeys) {
+    chain[key] = preset[key] ?? null;
+    if (opts[key] != null) chain[key] = opts[key];
+  }
+  for (const key of ['highpassHz', 'denoiseDb', 'loudnessTarget']) {
+    if (chain[key] === 0) chain[key] = null;
+  }
+
+  return chain;
+}
+
+export function isAudioCleanupChainEmpty(chain) {
+  return !chain || kStageKeys.every((key) => chain[key] == null);
+}
+
+// returns the filters for the chain, in processing order.
+// if the track's loudness was measured in the analysis, loudness
+// normalization is a static gain based on that. otherwise the loudnorm
+// filter estimates it on the fly.
+export function getAudioCleanupFilters(chain, analysis) {
+  const filters = [];
+  if (isAudioCleanupChainEmpty(chain)) return filters;
+
+  const { gainDb, highpassHz, denoiseDb, loudnessTarget, limiterDb } = chain;
+
+  if (gainDb != null && gainDb !== 0) {
+    filters.push(`volume=volume=${gainDb}dB`);
+  }
+  if (highpassHz != null) {
+    filters.push(`highpass=f=${highpassHz}`);
+  }
+  if (denoiseDb != null) {
+    filters.push(`afftdn=nr=${denoiseDb}`);
+  }
+  if (loudnessTarget != null) {
+    const measured = analysis?.loudness?.integrated;
+    if (Number.isFinite(measured)) {
+      // the measurement was taken before the fixed gain stage
+      const correction = loudnessTarget - measured - (gainDb ?? 0);
+      filters.push(`volume=volume=${correction.toFixed(2)}dB`);
+    } else {
+      const tp = limiterDb ?? -1;
+      filters.push(`loudnorm=I=${loudnessTarget}:TP=${tp}:LRA=11`);
+    }
+  }
+  if (limiterDb != null) {
+    // alimiter takes a linear limit
+    const limit = Math.min(1, Math.max(0.0625, Math.pow(10, limiterDb / 20)));
+    filters.push(`alimiter=limit=${limit.toFixed(4)}:level=false`);
+  }
+
+  return filters;
+}
+
+export function describeAudioCleanupChain(chain) {
+  if (isAudioCleanupChainEmpty(chain)) {
+    return `${chain?.preset ?? 'raw'}: none`;
+  }
+
+  const parts = [];
+  if (chain.gainDb != null) parts.push(`gain ${chain.gainDb} dB`);
+  if (chain.highpassHz != null) parts.push(`high-pass ${chain.highpassHz} Hz`);
+  if (chain.denoiseDb != null) parts.push(`denoise ${chain.denoiseDb} dB`);
+  if (chain.loudnessTarget != null) {
+    parts.push(`loudness ${chain.loudnessTarget} LUFS`);
+  }
+  if (chain.limiterDb != null) parts.push(`limiter ${chain.limiterDb} dBFS`);
+  return `${chain.preset}: ${parts.join(', ')}`;
+}
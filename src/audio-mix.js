@@ -0,0 +1,133 @@
+import * as fs from 'node:fs';
+
+import {
+  checkAudioOutputFormatSupport,
+  describeAudioOutputFormat,
+  getAudioEncoderArgs,
+  resolveAudioOutputFormat,
+} from './audio-output-formats.js';
+import { RawTracksError } from './errors.js';
+import { runFfmpegCommandAsync } from './ffexec.js';
+import { ExecutionPlan } from './plan.js';
+import { createProgressReporter } from './progress.js';
+import { createWorkspace, runInWorkspace } from './workspace.js';
+
+// mixes audio from several files into one track. the files can be
+// normalized audio tracks, or combined files with both video and audio.
+// opts:
+//   inputs: array of file paths, or of { file, syncOffsetMs } to delay
+//     an input (positive offset) or cut off its start (negative) (required)
+//   output: path of the file to write (required)
+//   audio: output format settings, see resolveAudioOutputFormat()
+//   durationSecs: expected length of the mix, for progress percentages
+//   tmpDir, keepTmp: see createWorkspace()
+//   signal, timeoutMs: see runFfmpegCommandAsync()
+//   onProgress, progressFormat, dryRun, plan: see normalizeTracks()
+// returns { output, plan }.
+export async function mixAudioTracks(opts = {}) {
+  const plan = opts.plan ?? (opts.dryRun ? new ExecutionPlan() : null);
+  const inputs = (opts.inputs ?? []).map((inp) =>
+    typeof inp === 'string' ? { file: inp, syncOffsetMs: 0 } : inp
+  );
+  if (inputs.length < 1) {
+    throw new RawTracksError('no input files given', 'invalid-option');
+  }
+  if (!opts.output) {
+    throw new RawTracksError('output path is required', 'invalid-option');
+  }
+  for (const { file, syncOffsetMs = 0 } of inputs) {
+    // in a dry run, the inputs may be planned outputs of earlier steps
+    if (!fs.existsSync(file) && !plan?.outputs.includes(file)) {
+      throw new RawTracksError(
+        `input path doesn't exist: ${file}`,
+        'invalid-input'
+      );
+    }
+    if (!Number.isFinite(syncOffsetMs)) {
+      throw new RawTracksError(
+        `invalid sync offset for ${file}: ${syncOffsetMs}`,
+        'invalid-option'
+      );
+    }
+  }
+
+  let format;
+  try {
+    format = resolveAudioOutputFormat(opts.audio);
+  } catch (e) {
+    throw new RawTracksError(e.message, 'invalid-option');
+  }
+  const encoderError = checkAudioOutputFormatSupport(format);
+  if (encoderError) {
+    throw new RawTracksError(
+      `Can't mix audio: ${encoderError}`,
+      'unsupported'
+    );
+  }
+
+  const args = [];
+  const filters = [];
+  for (const [idx, { file, syncOffsetMs = 0 }] of inputs.entries()) {
+    args.push('-i', file);
+
+    filters.push(`[${idx}:a]${getSyncOffsetFilter(syncOffsetMs)}[mix${idx}]`);
+  }
+  const mixLabels = inputs.map((_, idx) => `[mix${idx}]`).join('');
+  filters.push(`${mixLabels}amix=inputs=${inputs.length}[aout]`);
+
+  args.push(
+    '-filter_complex',
+    filters.join(';'),
+    '-map',
+    '[aout]',
+    '-vn',
+    ...getAudioEncoderArgs(format),
+    opts.output
+  );
+
+  console.error(
+    'Mixing %d audio inputs to %s',
+    inputs.length,
+    describeAudioOutputFormat(format)
+  );
+
+  const workspace = createWorkspace('mix', {
+    tmpDir: opts.tmpDir,
+    keep: !!opts.keepTmp,
+  });
+  const progress = createProgressReporter({
+    format: opts.progressFormat ?? 'none',
+    onUpdate: opts.onProgress,
+  });
+  progress.addStep('mix', 'mixing audio', 1);
+  try {
+    await runInWorkspace(workspace, () =>
+      runFfmpegCommandAsync('mix', args, {
+        signal: opts.signal,
+        timeoutMs: opts.timeoutMs,
+        plan,
+        onProgress: progress.getFfmpegListener('mix', opts.durationSecs),
+      })
+    );
+    progress.complete('mix');
+  } finally {
+    progress.end();
+    workspace.cleanup();
+  }
+  // a caller that passes its own plan may be mixing into a temp file
+  if (plan && !opts.plan) plan.addOutput(opts.output);
+
+  return { output: opts.output, plan };
+}
+
+// the filter that applies a sync offset to an audio input, by delaying it
+// (positive offset) or cutting off its start (negative)
+export function getSyncOffsetFilter(syncOffsetMs) {
+  if (syncOffsetMs > 0) {
+    return `adelay=delays=${syncOffsetMs}:all=1`;
+  }
+  if (syncOffsetMs < 0) {
+    return `atrim=start=${-syncOffsetMs / 1000},asetpts=PTS-STARTPTS`;
+  }
+  return 'anull';
+}
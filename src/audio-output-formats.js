@@ -0,0 +1,168 @@
+import { getFfmpegEncoders } from './ffmpeg-caps.js';
+
+// output formats for normalized audio tracks.
+// `ext` is the file extension for a standalone audio file, and
+// `muxContainers` lists the containers it can be combined with video in.
+// `encoders` lists the encoders we can use, in order of preference.
+const kAudioOutputFormats = {
+  aac: {
+    encoders: ['libfdk_aac', 'aac'],
+    bitrate: '320k',
+    ext: 'aac',
+    muxContainers: ['mp4', 'mov', 'mkv'],
+  },
+  opus: {
+    encoders: ['libopus'],
+    bitrate: '128k',
+    ext: 'opus',
+    // opus only runs at these rates
+    sampleRates: [48000, 24000, 16000, 12000, 8000],
+    muxContainers: ['mp4', 'mkv'],
+  },
+  flac: {
+    encoders: ['flac'],
+    bitDepths: [16, 24],
+    ext: 'flac',
+    muxContainers: ['mkv'],
+  },
+  // 32-bit wav is floating point
+  wav: {
+    encoders: ['pcm_s16le', 'pcm_s24le', 'pcm_f32le'],
+    bitDepths: [16, 24, 32],
+    // historically written as mono
+    channels: 1,
+    ext: 'wav',
+    muxContainers: ['mov', 'mkv'],
+  },
+};
+
+export const kAudioCodecNames = Object.keys(kAudioOutputFormats);
+
+const kWavEncodersByBitDepth = {
+  16: 'pcm_s16le',
+  24: 'pcm_s24le',
+  32: 'pcm_f32le',
+};
+
+// returns a format object from a codec name and optional settings:
+//   { codec, sampleRate, channels, bitDepth }
+// the sample rate defaults to 48 kHz. if channels isn't set, the source's
+// channel layout is kept (except for wav, which is mono by default).
+export function resolveAudioOutputFormat(opts = {}) {
+  const codec = opts.codec ?? 'aac';
+  const base = kAudioOutputFormats[codec];
+  if (!base) {
+    const expected = kAudioCodecNames.join(', ');
+    throw new Error(
+      `Unknown audio codec "${codec}", expected one of: ${expected}`
+    );
+  }
+
+  const sampleRate = opts.sampleRate ?? 48000;
+  if (!Number.isInteger(sampleRate) || sampleRate < 8000) {
+    throw new Error(`Invalid audio sample rate ${sampleRate}`);
+  }
+  if (base.sampleRates && !base.sampleRates.includes(sampleRate)) {
+    throw new Error(
+      `Audio codec "${codec}" doesn't support sample rate ${sampleRate}, ` +
+        `expected one of: ${base.sampleRates.join(', ')}`
+    );
+  }
+
+  const channels = opts.channels ?? base.channels ?? null;
+  if (channels != null && (!Number.isInteger(channels) || channels < 1)) {
+    throw new Error(`Invalid audio channel count ${channels}`);
+  }
+
+  let bitDepth = null;
+  if (opts.bitDepth != null) {
+    if (!base.bitDepths) {
+      throw new Error(`Audio codec "${codec}" doesn't support bit depth`);
+    }
+    if (!base.bitDepths.includes(opts.bitDepth)) {
+      throw new Error(
+        `Audio codec "${codec}" doesn't support bit depth ${opts.bitDepth}, ` +
+          `expected one of: ${base.bitDepths.join(', ')}`
+      );
+    }
+    bitDepth = opts.bitDepth;
+  } else if (base.bitDepths) {
+    bitDepth = base.bitDepths[0];
+  }
+
+  return {
+    codec,
+    sampleRate,
+    channels,
+    bitDepth,
+    bitrate: base.bitrate ?? null,
+    ext: base.ext,
+    muxContainers: base.muxContainers,
+  };
+}
+
+// returns the encoder to use for the format, or null if the
+// local ffmpeg build has none of the candidates
+export function getAudioEncoder(format) {
+  if (format.codec === 'wav') return kWavEncodersByBitDepth[format.bitDepth];
+
+  const candidates = kAudioOutputFormats[format.codec].encoders;
+  const encoders = getFfmpegEncoders();
+  // if the query failed, just go with the first choice
+  if (encoders.size < 1) return candidates[0];
+  return candidates.find((enc) => encoders.has(enc)) ?? null;
+}
+
+// returns an error message if the local ffmpeg can't encode this format
+export function checkAudioOutputFormatSupport(format) {
+  if (!getAudioEncoder(format)) {
+    const { encoders } = kAudioOutputFormats[format.codec];
+    return `the local ffmpeg build has no ${encoders.join(' or ')} encoder (needed for audio codec "${format.codec}")`;
+  }
+  return null;
+}
+
+export function getAudioEncoderArgs(format) {
+  const encoder = getAudioEncoder(format);
+  const args = ['-c:a', encoder];
+
+  if (encoder === 'libfdk_aac') {
+    args.push('-profile:a', 'aac_low', '-vbr', '0');
+  }
+  if (format.bitrate != null) args.push('-b:a', format.bitrate);
+  if (format.codec === 'flac') {
+    // ffmpeg's flac encoder takes 24-bit samples in 32-bit containers
+    if (format.bitDepth === 24) {
+      args.push('-sample_fmt', 's32', '-bits_per_raw_sample', '24');
+    } else {
+      args.push('-sample_fmt', 's16');
+    }
+  }
+  args.push('-ar', format.sampleRate);
+  if (format.channels != null) args.push('-ac', format.channels);
+
+  return args;
+}
+
+// picks a container that can hold both the normalized video and audio.
+// the video's own container type is preferred (QuickTime for editing
+// formats, MPEG-4 otherwise), with Matroska as the fallback.
+export function getMuxContainer(videoContainer, audioFormat) {
+  const preferred = videoContainer === 'mov' ? 'mov' : 'mp4';
+  if (audioFormat.muxContainers.includes(preferred)) return preferred;
+  return 'mkv';
+}
+
+export function describeAudioOutputFormat(format) {
+  const parts = [format.codec, `${format.sampleRate} Hz`];
+  if (format.channels != null) parts.push(`${format.channels} ch`);
+  if (format.bitDepth != null) {
+    parts.push(
+      format.codec === 'wav' && format.bitDepth === 32
+        ? '32-bit float'
+        : `${format.bitDepth}-bit`
+    );
+  }
+  if (format.bitrate != null) parts.push(format.bitrate);
+  return parts.join(', ');
+}
@@ -0,0 +1,935 @@
+import * as Path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import * as util from 'node:util';
+import { $, fs } from 'zx';
+
+import { mixAudioTracks } from './audio-mix.js';
+import { resolveAudioOutputFormat } from './audio-output-formats.js';
+import { RawTracksError } from './errors.js';
+import { runFfmpegCommandAsync } from './ffexec.js';
+import { normalizeTracks } from './normalize.js';
+import {
+  estimateAudioBytes,
+  estimateVideoBytes,
+  estimateYuvSequenceBytes,
+  ExecutionPlan,
+} from './plan.js';
+import { createProgressReporter } from './progress.js';
+import { getTrackSyncOffsetMs } from './raw-tracks-manifest.js';
+import { writeVcsBatchForTracks } from './vcs-batch.js';
+import { resolveVideoEncoderProfile } from './video-encoder-profiles.js';
+import {
+  createWorkspace,
+  runInWorkspace,
+  trackChildProcess,
+} from './workspace.js';
+
+/*
+  Compositing process outline:
+
+  - Check presence of VCS JavaScript SDK + vcsrender binary
+
+  - Check available disk space
+
+  - Normalize tracks from raw-tracks-manifest (if not in cache already)
+
+  - Compute total duration
+
+  - Write vcsevents.json file for entire duration
+    * All participants must be assigned to VCS video ids already
+
+  - Execute vcsevents.json with batch runner
+
+  - Split total duration into N-second slices, and for each:
+    * Extract slice of batch runner's output
+    * Extract YUV seq slices of input videos (active during the slice)
+    * Write vcs input timings JSON
+    * Execute vcsrender
+    * Clean up input slices
+    * Convert output slice to MP4
+
+  - Join output slices into single MP4
+
+  - Write audio mix for entire duration (using already normalized audio tracks)
+
+  - Mux output video + audio
+*/
+
+const kPackageDir = Path.resolve(
+  Path.dirname(fileURLToPath(import.meta.url)),
+  '..'
+);
+
+// there's a limit in VCSRender for # of simultaneous tracks, so keep track
+// that we don't exceed the maximum allowed size of this array.
+// this could be smarter: now we're assigning ids for the entire duration
+// of the composite, but actually not all tracks may not be active for the
+// whole session.
+const MAX_VIDEO_IDS = 20;
+
+// VCS needs a numeric id for each input, so assign them using a recognizable prefix
+const VIDEO_INPUT_ID_NUM_PREFIX = 1001;
+
+// we can use a lot of temp files while rendering, so check there's enough
+const MIN_SPACE_MB = 4000;
+
+// rough shares of the total time spent in each phase, used for the ETA
+const kProgressWeights = {
+  normalize: 40,
+  batch: 5,
+  render: 50,
+  concat: 1,
+  mix: 3,
+  mux: 1,
+};
+
+// renders a composite video of all participants in a raw-tracks recording.
+// opts:
+//   manifestPath: path of the raw-tracks manifest (required). track files
+//     are looked up relative to it
+//   vcsRenderPath: VCSRender directory, defaults to ~/bin
+//   vcsSdkPath: VCS SDK directory (required)
+//   output: path of the video to write, defaults to
+//     composite-<recordingStartTs>.mp4 next to the manifest
+//   width, height: output size, defaults to 1280x720
+//   fps: output frame rate, defaults to 30
+//   params: VCS composition params, defaults to { mode: 'grid' }
+//   cacheDir: where normalized tracks are cached, defaults to video-cache
+//     in the package directory
+//   reanalyze, tmpDir, keepTmp, signal, onProgress, progressFormat,
+//   dryRun, plan: see normalizeTracks(). a dry run still analyzes and
+//     probes the inputs, and tracks found in the cache are used as is
+// returns { output, durationSecs, plan }.
+// throws RawTracksError or FfmpegError on failure.
+export async function compositeTracks(opts = {}) {
+  const job = resolveCompositeJob(opts);
+
+  const workspace = createWorkspace('composite', {
+    tmpDir: opts.tmpDir,
+    keep: !!opts.keepTmp,
+  });
+  job.tmpPath = workspace.dir;
+  job.progress = createProgressReporter({
+    format: opts.progressFormat ?? 'none',
+    onUpdate: opts.onProgress,
+  });
+  try {
+    return await runInWorkspace(workspace, () => runCompositeJob(job));
+  } finally {
+    job.progress.end();
+    workspace.cleanup();
+  }
+}
+
+// validates the options and returns the job state
+function resolveCompositeJob(opts) {
+  const vcsRenderDir = expandHome(opts.vcsRenderPath ?? '~/bin');
+  if (!opts.vcsSdkPath) {
+    throw new RawTracksError(
+      'VCS SDK directory must be provided',
+      'invalid-option'
+    );
+  }
+  const vcsSdkDir = expandHome(opts.vcsSdkPath);
+
+  // required external tools
+  const tools = {
+    ffprobe: 'ffprobe',
+    vcsRender: Path.resolve(vcsRenderDir, 'build', 'vcsrender'),
+    vcsBatchRunnerScript: Path.resolve(vcsSdkDir, 'js', 'vcs-batch-runner.js'),
+  };
+  if (!fs.existsSync(tools.vcsRender)) {
+    throw new RawTracksError('VCSRender must be available', 'environment');
+  }
+  if (!fs.existsSync(tools.vcsBatchRunnerScript)) {
+    throw new RawTracksError(
+      'VCS SDK directory must contain js subdir with the batch runner script',
+      'environment'
+    );
+  }
+
+  const plan = opts.plan ?? (opts.dryRun ? new ExecutionPlan() : null);
+
+  // a dry run doesn't create the cache dir, so the space is checked on
+  // the closest directory that exists
+  const cacheDir = opts.cacheDir ?? Path.resolve(kPackageDir, 'video-cache');
+  if (!plan) fs.mkdirpSync(cacheDir);
+
+  const volumeStats = fs.statfsSync(getClosestExistingDir(cacheDir));
+  const spaceAvailableToUser_mb =
+    (volumeStats.bsize * volumeStats.bavail) / (1024 * 1024);
+  if (spaceAvailableToUser_mb < MIN_SPACE_MB) {
+    const msg = `You need at least ${MIN_SPACE_MB} megabytes of disk space on this volume.`;
+    if (!plan) throw new RawTracksError(msg, 'insufficient-disk-space');
+    plan.addWarning(msg);
+  }
+
+  if (!opts.manifestPath) {
+    throw new RawTracksError(
+      'raw-tracks manifest path is required',
+      'invalid-option'
+    );
+  }
+  let manifest;
+  try {
+    manifest = fs.readJSONSync(opts.manifestPath);
+  } catch (e) {
+    throw new RawTracksError(
+      `Error reading raw-tracks-manifest: ${e.message}`,
+      'invalid-input'
+    );
+  }
+  if (!Array.isArray(manifest.participants)) {
+    throw new RawTracksError(
+      'Invalid raw-tracks-manifest: no participants field',
+      'invalid-input'
+    );
+  }
+  // check the optional sync offsets up front
+  for (const p of manifest.participants) {
+    try {
+      for (const t of p.tracks ?? []) getTrackSyncOffsetMs(p, t);
+    } catch (e) {
+      throw new RawTracksError(
+        `Invalid raw-tracks-manifest: ${e.message}`,
+        'invalid-input'
+      );
+    }
+  }
+
+  const outputSize = { w: opts.width ?? 1280, h: opts.height ?? 720 };
+  if (
+    !Number.isInteger(outputSize.w) ||
+    !Number.isInteger(outputSize.h) ||
+    outputSize.w < 1 ||
+    outputSize.h < 1
+  ) {
+    throw new RawTracksError(
+      `Invalid output size specified: ${outputSize.w} x ${outputSize.h}`,
+      'invalid-option'
+    );
+  }
+
+  const fps = opts.fps ?? 30;
+  if (!Number.isFinite(fps) || fps < 0.1) {
+    throw new RawTracksError(`Invalid fps: ${fps}`, 'invalid-option');
+  }
+
+  return {
+    opts,
+    plan,
+    tools,
+    vcsRenderDir,
+    vcsSdkDir,
+    cacheDir,
+    manifest,
+    rawTracksRoot: Path.dirname(Path.resolve(opts.manifestPath)),
+    outputSize,
+    fps,
+    // composition params passed to VCS
+    initialParams: opts.params ?? { mode: 'grid' },
+    vcsVideoInputTrackDescs: [],
+    normalizedAudioFiles: [],
+    activeVideoInputSlots: [],
+  };
+}
+
+async function runCompositeJob(job) {
+  const { opts, manifest, progress, tmpPath, fps, outputSize } = job;
+  const { vcsVideoInputTrackDescs, normalizedAudioFiles } = job;
+
+  const participantsWithTracks = manifest.participants.filter(
+    (p) => p.tracks.length > 0
+  );
+  for (const { id } of participantsWithTracks) {
+    progress.addStep(
+      `normalize_${id}`,
+      `normalizing ${id}`,
+      kProgressWeights.normalize / participantsWithTracks.length
+    );
+  }
+  for (const phase of ['batch', 'render', 'concat', 'mix', 'mux']) {
+    progress.addStep(phase, phase, kProgressWeights[phase]);
+  }
+
+  let totalDuration_secs = -1;
+
+  console.error('\n--- Normalize input tracks ---');
+  for (const p of manifest.participants) {
+    const { id, tracks } = p;
+    if (tracks.length < 1) {
+      console.error(`Warning: participant ${id} has no tracks`);
+      continue;
+    }
+    const [ok, dur] = await normalizeParticipantTracks(job, p);
+    if (ok && dur > 0) {
+      totalDuration_secs = Math.max(dur, totalDuration_secs);
+    }
+  }
+  console.error('---- Normalize finished.\n');
+
+  if (totalDuration_secs <= 0) {
+    throw new RawTracksError(
+      "Couldn't get the session duration from video tracks, the data might be empty.",
+      'normalize-failed'
+    );
+  }
+
+  const totalDuration_frames = Math.floor(fps * totalDuration_secs);
+
+  console.error(
+    `Total duration: ${totalDuration_secs} s = ${totalDuration_frames} frames at ${fps} fps`
+  );
+
+  // sort inputs by the timestamp, so the events are easier to read
+  // as video inputs are activated in order over time.
+  vcsVideoInputTrackDescs.sort((a, b) => {
+    const ts_a = a.startTs;
+    const ts_b = b.startTs;
+    return ts_a - ts_b;
+  });
+
+  for (const [idx, track] of vcsVideoInputTrackDescs.entries()) {
+    track.videoInputId = VIDEO_INPUT_ID_NUM_PREFIX + idx;
+  }
+
+  job.vcsBatch = writeVcsBatchForTracks(vcsVideoInputTrackDescs, {
+    outputSize,
+    durationInFrames: totalDuration_frames,
+    fps,
+    initialParams: job.initialParams,
+  });
+
+  const vcsEventsJsonPath = Path.resolve(tmpPath, 'raw-tracks.vcsevents.json');
+  console.error(`Writing to: ${vcsEventsJsonPath}`);
+  fs.writeJSONSync(vcsEventsJsonPath, job.vcsBatch);
+
+  job.batchRunnerOutputDir = Path.resolve(tmpPath, 'vcs-output');
+
+  console.error('\n--- Executing VCS state batch runner ---');
+
+  await runTool(
+    job,
+    'node',
+    [
+      'vcs-batch-runner.js',
+      '--events_json',
+      vcsEventsJsonPath,
+      '--output_prefix',
+      `${job.batchRunnerOutputDir}/seq`,
+      '--clean_output_dir',
+    ],
+    { cwd: Path.resolve(job.vcsSdkDir, 'js'), verbose: true }
+  );
+
+  progress.complete('batch');
+  console.error('---- Batch runner finished.\n');
+
+  const framesPerSegment = Math.round(fps * 20);
+  const numSegments = Math.ceil(totalDuration_frames / framesPerSegment);
+  job.numSegments = numSegments;
+
+  console.error(
+    `\n--- Rendering ${numSegments} segment${numSegments > 1 ? 's' : ''} ---`
+  );
+
+  let ffmpegConcatFile = '';
+
+  progress.splitStep(
+    'render',
+    Array.from({ length: numSegments }, (_, segIdx) => ({
+      id: `segment${segIdx}`,
+      label: `segment ${segIdx + 1} / ${numSegments}`,
+    }))
+  );
+
+  for (let segIdx = 0; segIdx < numSegments; segIdx++) {
+    const startFrame = segIdx * framesPerSegment;
+    // the last segment gets whatever is left
+    const numFrames = Math.min(
+      framesPerSegment,
+      totalDuration_frames - startFrame
+    );
+
+    const segTmpDir = Path.resolve(tmpPath, `seg${segIdx}`);
+    fs.emptyDirSync(segTmpDir);
+
+    const segOutputM4v = await renderSegment(
+      job,
+      segIdx,
+      startFrame,
+      numFrames,
+      segTmpDir
+    );
+    if (segOutputM4v.length > 0) {
+      ffmpegConcatFile += `file '${Path.relative(tmpPath, segOutputM4v)}'\n`;
+    }
+    progress.complete(`segment${segIdx}`);
+  }
+
+  console.error('\n---- Concatenating segments ----');
+
+  const concatTempPath = Path.resolve(tmpPath, 'video-concat.txt');
+  fs.writeFileSync(concatTempPath, ffmpegConcatFile, { encoding: 'utf-8' });
+
+  const concatOutputM4v = Path.resolve(tmpPath, 'video-concat.m4v');
+
+  // paths in the concat file are relative to it
+  await runFfmpegCommandAsync(
+    'concat',
+    ['-f', 'concat', '-i', concatTempPath, '-c', 'copy', concatOutputM4v],
+    { signal: opts.signal, plan: job.plan }
+  );
+  progress.complete('concat');
+
+  // the segments, and the joined video which is about the same size
+  const videoBytes = estimateVideoBytes(
+    resolveVideoEncoderProfile(),
+    outputSize,
+    fps,
+    totalDuration_secs
+  );
+  job.plan?.addTempSpace(videoBytes * 2);
+
+  let muxedOutputMp4;
+  if (normalizedAudioFiles.length > 0) {
+    console.error('\n---- Mixing audio and muxing tracks ----');
+
+    const mixedOutputAac = Path.resolve(tmpPath, 'audio-mix.aac');
+
+    await mixAudioTracks({
+      inputs: normalizedAudioFiles,
+      output: mixedOutputAac,
+      durationSecs: totalDuration_secs,
+      tmpDir: opts.tmpDir,
+      keepTmp: opts.keepTmp,
+      signal: opts.signal,
+      plan: job.plan,
+      onProgress: (p) => progress.update('mix', p.percent / 100, p),
+    });
+    progress.complete('mix');
+    const audioBytes = estimateAudioBytes(
+      resolveAudioOutputFormat(),
+      totalDuration_secs
+    );
+    // the mix, and the muxed output
+    job.plan?.addTempSpace(videoBytes + audioBytes * 2);
+
+    console.error('--- audio mix done, will mux.');
+
+    muxedOutputMp4 = Path.resolve(tmpPath, 'final.mp4');
+
+    await runFfmpegCommandAsync(
+      'mux',
+      [
+        '-i',
+        concatOutputM4v,
+        '-i',
+        mixedOutputAac,
+        '-c',
+        'copy',
+        '-map',
+        '0:0',
+        '-map',
+        '1:0',
+        muxedOutputMp4,
+      ],
+      { signal: opts.signal, plan: job.plan }
+    );
+    progress.complete('mux');
+  } else {
+    progress.skipStep('mix');
+    progress.skipStep('mux');
+  }
+  const finalOutputTmp = muxedOutputMp4 ?? concatOutputM4v;
+
+  let finalOutputDst = opts.output;
+  if (!finalOutputDst) {
+    finalOutputDst = Path.resolve(
+      job.rawTracksRoot,
+      `composite-${manifest.recordingStartTs}${Path.extname(finalOutputTmp)}`
+    );
+  }
+  if (job.plan) {
+    job.plan.addOutput(finalOutputDst);
+    return {
+      output: finalOutputDst,
+      durationSecs: totalDuration_secs,
+      plan: job.plan,
+    };
+  }
+  fs.moveSync(finalOutputTmp, finalOutputDst, { overwrite: true });
+
+  console.error('\n------\nComposite-tracks tool has finished.');
+  console.error(`Output at:\n${finalOutputDst}`);
+
+  return {
+    output: finalOutputDst,
+    durationSecs: totalDuration_secs,
+    plan: null,
+  };
+}
+
+// sync offsets from the manifest are applied here for video (the normalized
+// video is shifted) and in the mixer for audio, so normalizedAudioFiles
+// entries are { file, syncOffsetMs }.
+// returns [ok, durationSecs], the duration is only set for video.
+async function normalizeParticipantTracks(job, participant) {
+  const { rawTracksRoot, vcsVideoInputTrackDescs, normalizedAudioFiles } = job;
+  const { id, tracks } = participant;
+  const progressStepId = `normalize_${id}`;
+  let camVideoFile, camAudioFile;
+  let camVideoTrack, camAudioTrack;
+
+  for (const t of tracks) {
+    const { file, mediaType } = t;
+    if (mediaType === 'cam-video') {
+      if (camVideoFile) {
+        throw new RawTracksError(
+          `Multiple ${mediaType} tracks found for participant ${id} - this is not currently supported by the tool`,
+          'invalid-input'
+        );
+      }
+      camVideoFile = Path.resolve(rawTracksRoot, file);
+      camVideoTrack = t;
+    } else if (mediaType === 'cam-audio') {
+      if (camVideoFile) {
+        throw new RawTracksError(
+          `Multiple ${mediaType} tracks found for participant ${id} - this is not currently supported by the tool`,
+          'invalid-input'
+        );
+      }
+      camAudioFile = Path.resolve(rawTracksRoot, file);
+      camAudioTrack = t;
+    }
+  }
+
+  let isVideo;
+  let outputFile;
+  let videoInputFile;
+
+  if (camVideoFile && camAudioFile) {
+    // sync and combine AV tracks
+    if (!fs.existsSync(camVideoFile) || !fs.existsSync(camAudioFile)) {
+      throw new RawTracksError(
+        `Track files not found: video ${camVideoFile}, audio ${camAudioFile}`,
+        'invalid-input'
+      );
+    }
+    isVideo = true;
+    videoInputFile = camVideoFile;
+
+    if (vcsVideoInputTrackDescs.length >= MAX_VIDEO_IDS) {
+      console.error(
+        `** Warning: unable to process video+audio for participant ${id}, max video ids reached`
+      );
+      job.progress.skipStep(progressStepId);
+      return [false];
+    }
+    vcsVideoInputTrackDescs.push({ ...camVideoTrack, participantId: id });
+
+    const videoSyncOffsetMs = getTrackSyncOffsetMs(participant, camVideoTrack);
+    const outputDir = getNormalizeCacheDir(job, videoSyncOffsetMs);
+
+    const ext = 'mp4';
+    const basename = Path.basename(camVideoFile, Path.extname(camVideoFile));
+    outputFile = Path.resolve(outputDir, `${basename}_combined.${ext}`);
+    if (fs.existsSync(outputFile)) {
+      console.error(`Found cached track for combined video+audio for ${id}`);
+      job.progress.skipStep(progressStepId);
+    } else {
+      console.error(`Normalizing video+audio for ${id}...`);
+      await normalizeTracks({
+        ...getNormalizeOpts(job, progressStepId),
+        inputs: [camVideoFile, camAudioFile],
+        outputDir,
+        videoSyncOffsetMs,
+      });
+    }
+    normalizedAudioFiles.push({
+      file: outputFile,
+      syncOffsetMs: getTrackSyncOffsetMs(participant, camAudioTrack),
+    });
+  } else {
+    // single track, can be video or audio
+    const track = tracks[0];
+    const file = Path.resolve(rawTracksRoot, track.file);
+    if (!fs.existsSync(file)) {
+      throw new RawTracksError(
+        `Track file not found: ${file}`,
+        'invalid-input'
+      );
+    }
+
+    isVideo = track.mediaType.indexOf('audio') === -1;
+    if (isVideo) videoInputFile = file;
+
+    if (isVideo) {
+      if (vcsVideoInputTrackDescs.length >= MAX_VIDEO_IDS) {
+        console.error(
+          `** Warning: unable to process video track (${track.mediaType}) for participant ${id}, max video ids reached`
+        );
+        job.progress.skipStep(progressStepId);
+        return [false];
+      }
+      vcsVideoInputTrackDescs.push({ ...track, participantId: id });
+    }
+
+    const syncOffsetMs = getTrackSyncOffsetMs(participant, track);
+    const outputDir = getNormalizeCacheDir(job, isVideo ? syncOffsetMs : 0);
+
+    const ext = isVideo ? 'm4v' : 'aac';
+    const basename = Path.basename(file, Path.extname(file));
+    outputFile = Path.resolve(outputDir, `${basename}_normalized.${ext}`);
+    if (fs.existsSync(outputFile)) {
+      console.error(`Found cached track for type ${track.mediaType} for ${id}`);
+      job.progress.skipStep(progressStepId);
+    } else {
+      console.error(
+        `Normalizing base track of type ${track.mediaType} for ${id}...`
+      );
+      await normalizeTracks({
+        ...getNormalizeOpts(job, progressStepId),
+        inputs: [file],
+        outputDir,
+        videoSyncOffsetMs: isVideo ? syncOffsetMs : undefined,
+      });
+    }
+    if (!isVideo) {
+      normalizedAudioFiles.push({ file: outputFile, syncOffsetMs });
+    }
+  }
+
+  // in a dry run, the output may only be planned
+  const isPlanned = !!job.plan?.outputs.includes(outputFile);
+  if (!fs.existsSync(outputFile) && !isPlanned) {
+    throw new RawTracksError(
+      `Normalize didn't write expected output: ${outputFile}`,
+      'normalize-failed'
+    );
+  }
+  job.progress.complete(progressStepId);
+
+  if (isVideo) {
+    const { durationSecs, w, h } = isPlanned
+      ? getPlannedVideoInfo(job, videoInputFile, outputFile)
+      : await probeNormalizedVideo(job, outputFile);
+
+    // add metadata to track info
+    const t = vcsVideoInputTrackDescs.at(-1);
+    t.file = outputFile;
+    t.durationInSecs = durationSecs;
+    t.w = w;
+    t.h = h;
+
+    return [true, durationSecs];
+  }
+  return [true];
+}
+
+// returns { durationSecs, w, h }.
+// probing only reads the file, so it's also done in dry runs
+async function probeNormalizedVideo(job, outputFile) {
+  const dur = await runTool(
+    job,
+    job.tools.ffprobe,
+    [
+      ...['-v', 'error', '-show_entries', 'format=duration'],
+      ...['-of', 'default=noprint_wrappers=1:nokey=1', outputFile],
+    ],
+    { readOnly: true }
+  );
+  if (!Number.isFinite(parseFloat(dur))) {
+    throw new RawTracksError(
+      `Couldn't get duration for normalized video track ${outputFile}: output was: '${dur}'`,
+      'normalize-failed'
+    );
+  }
+  const durationSecs = parseFloat(dur);
+
+  const size = await runTool(
+    job,
+    job.tools.ffprobe,
+    [
+      ...['-v', 'error', '-select_streams', 'v:0'],
+      ...['-show_entries', 'stream=width,height', '-of', 'csv=p=0', outputFile],
+    ],
+    { readOnly: true }
+  );
+  let [w, h] = size.stdout.split(',');
+  w = parseInt(w, 10);
+  h = parseInt(h, 10);
+  if (w < 1 || h < 1 || w > 99999 || h > 99999) {
+    // sanity check for data returned by tool
+    throw new RawTracksError(
+      `Couldn't get size for normalized video track ${outputFile}: output was: '${size}'`,
+      'normalize-failed'
+    );
+  }
+  return { durationSecs, w, h };
+}
+
+// for a track that a dry run hasn't written, the normalize plan has
+// what probing it would return
+function getPlannedVideoInfo(job, videoInputFile, outputFile) {
+  const track = job.plan.tracks.find(
+    (t) => t.kind === 'video' && t.input === videoInputFile
+  );
+  if (!track) {
+    throw new Error(
+      `Internal inconsistency: no planned track for ${outputFile}`
+    );
+  }
+  return {
+    durationSecs: track.durationSecs,
+    w: track.videoSize.w,
+    h: track.videoSize.h,
+  };
+}
+
+// options shared by all normalize runs, with progress going into the
+// participant's step
+function getNormalizeOpts(job, progressStepId) {
+  const { opts, progress } = job;
+  return {
+    reanalyze: !!opts.reanalyze,
+    tmpDir: opts.tmpDir,
+    keepTmp: opts.keepTmp,
+    signal: opts.signal,
+    plan: job.plan,
+    onProgress: (p) => progress.update(progressStepId, p.percent / 100, p),
+  };
+}
+
+// normalized video with a sync offset is cached separately,
+// so that changing the offset in the manifest doesn't reuse a stale file
+function getNormalizeCacheDir(job, syncOffsetMs) {
+  if (!syncOffsetMs) return job.cacheDir;
+  const dir = Path.resolve(job.cacheDir, `sync_${syncOffsetMs}ms`);
+  if (!job.plan) fs.mkdirpSync(dir);
+  return dir;
+}
+
+function getClosestExistingDir(dir) {
+  while (!fs.existsSync(dir) && Path.dirname(dir) !== dir) {
+    dir = Path.dirname(dir);
+  }
+  return dir;
+}
+
+async function renderSegment(job, segIdx, startFrame, numFrames, segTmpDir) {
+  const { vcsBatch, vcsVideoInputTrackDescs, fps, outputSize } = job;
+  const { signal } = job.opts;
+
+  console.error(
+    `Segment ${segIdx + 1} / ${job.numSegments}:  frames ${startFrame} - ${
+      startFrame + numFrames
+    }...`
+  );
+
+  const videoInputIdsActiveInSeg = new Set();
+  for (const inp of job.activeVideoInputSlots) {
+    if (inp) videoInputIdsActiveInSeg.add(inp.id);
+  }
+
+  for (let i = startFrame; i < startFrame + numFrames; i++) {
+    let ev;
+    if ((ev = vcsBatch.eventsByFrame[i])) {
+      if (ev.activeVideoInputSlots) {
+        for (const inp of ev.activeVideoInputSlots) {
+          if (inp) videoInputIdsActiveInSeg.add(inp.id);
+        }
+        // keep a copy of this state across segment
+        job.activeVideoInputSlots = [...ev.activeVideoInputSlots];
+      }
+    }
+  }
+
+  const vcsRenderInputTimings = {
+    startFrame,
+    durationInFrames: numFrames,
+    playbackEvents: [],
+  };
+
+  const seqDirs = [];
+
+  let minFramesInSeq = numFrames;
+
+  for (const inputId of videoInputIdsActiveInSeg) {
+    const t = vcsVideoInputTrackDescs[inputId - VIDEO_INPUT_ID_NUM_PREFIX];
+    const srcVideoFile = t?.file;
+    if (!srcVideoFile) {
+      throw new Error(
+        `Internal inconsistency: no track for inputId ${inputId}`
+      );
+    }
+    console.error(
+      `Should slice from ${srcVideoFile} - -ss ${startFrame / fps} -t ${
+        numFrames / fps
+      }`
+    );
+
+    const dstSeqDir = Path.resolve(segTmpDir, `seq_${inputId}`);
+    fs.emptyDirSync(dstSeqDir);
+
+    seqDirs.push(dstSeqDir);
+
+    await runFfmpegCommandAsync(
+      `slice_${segIdx}_${inputId}`,
+      [
+        '-ss',
+        startFrame / fps,
+        '-t',
+        numFrames / fps,
+        '-i',
+        srcVideoFile,
+        '-pix_fmt',
+        'yuv420p',
+        '-f',
+        'segment',
+        '-segment_time',
+        '0.01',
+        `${dstSeqDir}/${inputId}_%06d.yuv`,
+      ],
+      { signal, plan: job.plan }
+    );
+
+    vcsRenderInputTimings.playbackEvents.push({
+      videoInputId: inputId,
+      frame: 0,
+      durationInFrames: numFrames,
+      seqDir: dstSeqDir,
+      w: t.w,
+      h: t.h,
+    });
+
+    // in a dry run, nothing was written to count
+    if (!job.plan) {
+      const numFiles = fs.readdirSync(dstSeqDir).length;
+      minFramesInSeq = Math.min(minFramesInSeq, numFiles);
+    }
+  }
+
+  if (job.plan) {
+    job.plan.addSegment({
+      index: segIdx,
+      startFrame,
+      numFrames,
+      videoInputIds: [...videoInputIdsActiveInSeg],
+    });
+    // the input sequences and the rendered one exist at the same time
+    let segBytes = estimateYuvSequenceBytes(outputSize, numFrames);
+    for (const ev of vcsRenderInputTimings.playbackEvents) {
+      segBytes += estimateYuvSequenceBytes(ev, numFrames);
+    }
+    job.plan.addTransientTempSpace(segBytes);
+  }
+
+  if (vcsRenderInputTimings.playbackEvents.length > 0) {
+    // check that the generated inputs have the same duration.
+    // they might get different lengths if there's an internal hiccup in ffmpeg's decoding
+    // (I've seen this happen if there's a colorspace mismatch inside a video track).
+    // in that case the best we can do is to use the minimum duration.
+    if (minFramesInSeq !== numFrames) {
+      if (minFramesInSeq <= 1) {
+        // if there's only one frame written for a sequence, that indicates a problem in ffmpeg.
+        // don't even try to render
+        console.error(
+          `Warning: segment ${segIdx} rendered inputs: got ${minFramesInSeq} frames vs expected ${numFrames}, can't render`
+        );
+        return '';
+      }
+      console.error(
+        `Warning: segment ${segIdx} rendered inputs duration differs: got min ${minFramesInSeq} vs expected ${numFrames}`
+      );
+      vcsRenderInputTimings.durationInFrames = minFramesInSeq;
+      for (const ev of vcsRenderInputTimings.playbackEvents) {
+        ev.durationInFrames = minFramesInSeq;
+      }
+    }
+  }
+
+  console.error(
+    ` ... seg input timings: ${util.inspect(vcsRenderInputTimings)}`
+  );
+
+  const vcsInputTimingsJsonPath = Path.resolve(
+    segTmpDir,
+    'seg.vcsinputtimings.json'
+  );
+  fs.writeJSONSync(vcsInputTimingsJsonPath, vcsRenderInputTimings);
+
+  const renderYuvSeqOutputDir = Path.resolve(segTmpDir, 'vcs-render-yuv');
+  fs.emptyDirSync(renderYuvSeqOutputDir);
+
+  const videoOutputPath = Path.resolve(segTmpDir, `seg${segIdx}_video.m4v`);
+
+  const renderArgs = [
+    ...['--oseq', renderYuvSeqOutputDir],
+    ...['--input_timings', vcsInputTimingsJsonPath],
+    ...['--jsonseq', job.batchRunnerOutputDir],
+    ...['-w', outputSize.w, '-h', outputSize.h],
+  ];
+  const encodeArgs = [
+    renderYuvSeqOutputDir,
+    `${outputSize.w}x${outputSize.h}`,
+    fps,
+    videoOutputPath,
+  ];
+
+  try {
+    const cwd = job.vcsRenderDir;
+
+    console.error('\n --- Executing VCS render... ---');
+
+    console.error(`build/vcsrender ${renderArgs.join(' ')}`);
+
+    await runTool(job, 'build/vcsrender', renderArgs, { cwd });
+
+    console.error('\n --- Encoding video... ---');
+
+    await runTool(job, './convert_yuvseq_to_movie.sh', encodeArgs, { cwd });
+  } catch (e) {
+    if (signal?.aborted) throw e;
+    console.error(`** VCSRender failed: `, e);
+    throw new RawTracksError(
+      `renderSegment ${segIdx + 1} / ${job.numSegments} failed: Unable to execute VCSRender`,
+      'render-failed'
+    );
+  } finally {
+    // clean up render temp files
+    fs.emptyDirSync(renderYuvSeqOutputDir);
+    for (const seqDir of seqDirs) {
+      fs.emptyDirSync(seqDir);
+    }
+  }
+
+  return videoOutputPath;
+}
+
+// runs an external tool and returns zx's output, or in a dry run
+// adds the command to the plan. commands that only read files are run
+// in dry runs too if `opts.readOnly` is set
+async function runTool(job, tool, args, opts = {}) {
+  if (job.plan && !opts.readOnly) {
+    job.plan.addCommand(tool, args, { cwd: opts.cwd });
+    return null;
+  }
+  // with exec, the shell's pid is the tool's, so it's the tool that gets
+  // stopped if we're interrupted
+  const p = $({
+    cwd: opts.cwd,
+    verbose: !!opts.verbose,
+    signal: job.opts.signal,
+  })`exec ${tool} ${args}`;
+  trackChildProcess(p.child);
+  return await p;
+}
+
+// zx's cd() understood ~, plain paths don't
+function expandHome(dir) {
+  if (dir === '~' || dir.startsWith('~/')) {
+    return Path.join(process.env.HOME ?? '', dir.slice(1));
+  }
+  return dir;
+}
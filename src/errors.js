@@ -0,0 +1,17 @@
+// thrown by the library functions for problems with their options or
+// inputs. ffmpeg failures are thrown as FfmpegError instead.
+// `kind` is one of:
+//   'invalid-option' - an option is missing or has an invalid value
+//   'invalid-input' - an input file is missing or can't be used
+//   'unsupported' - the local ffmpeg build can't decode or encode a format
+//   'environment' - a required tool isn't available
+//   'insufficient-disk-space' - not enough free space to render
+//   'normalize-failed' - a normalized track has no usable output
+//   'render-failed' - compositing failed in VCSRender
+export class RawTracksError extends Error {
+  constructor(message, kind) {
+    super(message);
+    this.name = 'RawTracksError';
+    this.kind = kind;
+  }
+}
@@ -1,11 +1,74 @@
 import * as fs from "node:fs";
-import * as Path from "node:path";
 import * as childProcess from "node:child_process";
 
-// this could be configurable
-const g_stderrTempFilePrefix = "rawtracks_ffexec_";
+import { getActiveWorkspace, trackChildProcess } from "./workspace.js";
 
-export async function runFfmpegCommandAsync(contextId, args) {
+const g_stderrTempFilePrefix = "ffexec_";
+
+// number of stderr lines kept in FfmpegError.stderrTail
+const kStderrTailLines = 20;
+
+// how long ffmpeg gets to exit after SIGTERM before it's killed outright
+const kKillGracePeriodMs = 5000;
+
+// stderr patterns for failures we can name, checked in order.
+// the first match in the stderr tail sets FfmpegError.kind.
+const kFailurePatterns = [
+  {
+    kind: "disk-full",
+    re: /No space left on device|Disk quota exceeded/i,
+    hint: "the output volume is full",
+  },
+  {
+    kind: "missing-encoder",
+    re: /Unknown encoder|Encoder \S+ not found|Encoding requested, but no encoder/i,
+    hint: "the local ffmpeg build lacks a required encoder",
+  },
+  {
+    kind: "missing-decoder",
+    re: /Decoder \S+ not found|Decoding requested, but no decoder/i,
+    hint: "the local ffmpeg build lacks a required decoder",
+  },
+  {
+    kind: "input-not-found",
+    re: /No such file or directory/i,
+    hint: "an input file doesn't exist",
+  },
+  {
+    kind: "corrupt-input",
+    re: /Invalid data found when processing input|moov atom not found|EBML header parsing failed|Error while decoding|corrupt/i,
+    hint: "an input file is damaged or not a media file",
+  },
+];
+
+// thrown by runFfmpegCommandAsync.
+// `kind` is one of the kFailurePatterns kinds above, or:
+//   'spawn' - ffmpeg couldn't be started (e.g. not installed)
+//   'timeout' - ffmpeg ran longer than the given timeout and was killed
+//   'aborted' - the caller's AbortSignal fired
+//   'unknown' - ffmpeg failed for some other reason
+export class FfmpegError extends Error {
+  constructor(message, props) {
+    super(message);
+    this.name = "FfmpegError";
+    this.kind = props.kind;
+    this.command = props.command;
+    this.exitCode = props.exitCode ?? null;
+    this.signal = props.signal ?? null;
+    this.stderrTail = props.stderrTail ?? [];
+    this.logPath = props.logPath ?? null;
+  }
+}
+
+// runs ffmpeg and resolves when it has exited successfully.
+// opts:
+//   signal: an AbortSignal, ffmpeg is stopped when it fires
+//   timeoutMs: ffmpeg is stopped if it runs longer than this
+//   onProgress: called with ffmpeg's periodic progress reports, see
+//     parseFfmpegProgress() for the fields
+//   plan: an ExecutionPlan. the command is added to it instead of run
+// on failure, rejects with an FfmpegError.
+export async function runFfmpegCommandAsync(contextId, args, opts = {}) {
   if (!Array.isArray(args)) {
     throw new Error("Invalid args for ffmpeg");
   }
@@ -13,34 +76,182 @@ export async function runFfmpegCommandAsync(contextId, args) {
     // answer yes to any interactive questions
     args = ["-y"].concat(args);
   }
+  if (opts.plan) {
+    opts.plan.addCommand("ffmpeg", args);
+    return true;
+  }
+  if (opts.onProgress) {
+    // key=value reports on stdout, the usual stats still go to the log
+    args = ["-progress", "pipe:1"].concat(args);
+  }
+
+  const command = ["ffmpeg", ...args].join(" ");
+  console.error("cmd: ", command);
 
-  console.log("cmd:  ffmpeg", args.join(" "));
+  const { signal, timeoutMs } = opts;
+  if (signal?.aborted) {
+    throw new FfmpegError("ffmpeg was aborted before it started", {
+      kind: "aborted",
+      command,
+    });
+  }
 
-  const stderrOutPath = Path.resolve(
-    "/tmp",
+  // logs go in the job's workspace, so concurrent jobs don't share them
+  const stderrOutPath = getActiveWorkspace().path(
     `${g_stderrTempFilePrefix}${contextId}.txt`
   );
   try {
     fs.rmSync(stderrOutPath);
   } catch (e) {}
 
+  const stderrFd = fs.openSync(stderrOutPath, "w");
   const child = childProcess.spawn("ffmpeg", args, {
     // ffmpeg writes log output to stderr but it lets the output buffer fill up,
     // so the default of a pipe doesn't work. it will hang our process.
     // write the output to a tmp file instead
-    stdio: ["pipe", "pipe", fs.openSync(stderrOutPath, "w")],
-  });
-  child.on("error", (err) => {
-    throw new Error(`ffmpeg child error: ${err.message}`);
+    stdio: ["pipe", "pipe", stderrFd],
   });
-  const exitCode = await new Promise((resolve, _reject) => {
-    child.on("close", resolve);
+  fs.closeSync(stderrFd);
+  trackChildProcess(child);
+
+  if (opts.onProgress) {
+    let partialLine = "";
+    let report = {};
+    child.stdout.setEncoding("utf-8");
+    child.stdout.on("data", (chunk) => {
+      const lines = (partialLine + chunk).split("\n");
+      partialLine = lines.pop();
+      for (const line of lines) {
+        const idx = line.indexOf("=");
+        if (idx < 1) continue;
+        const key = line.slice(0, idx).trim();
+        report[key] = line.slice(idx + 1).trim();
+        // each report ends with a progress key
+        if (key === "progress") {
+          opts.onProgress(parseFfmpegProgress(report));
+          report = {};
+        }
+      }
+    });
+  }
+
+  let spawnError = null;
+  let stopReason = null;
+  let killTimer = null;
+
+  const stop = (reason) => {
+    if (stopReason || child.exitCode != null) return;
+    stopReason = reason;
+    child.kill("SIGTERM");
+    killTimer = setTimeout(() => child.kill("SIGKILL"), kKillGracePeriodMs);
+  };
+  const onAbort = () => stop("aborted");
+  signal?.addEventListener("abort", onAbort, { once: true });
+  const timeoutTimer =
+    timeoutMs > 0 ? setTimeout(() => stop("timeout"), timeoutMs) : null;
+
+  const { exitCode, exitSignal } = await new Promise((resolve) => {
+    // if the spawn fails, 'close' still follows 'error'
+    child.on("error", (err) => {
+      spawnError = err;
+    });
+    child.on("close", (code, sig) => {
+      resolve({ exitCode: code, exitSignal: sig });
+    });
   });
-  if (exitCode) {
-    throw new Error(
-      `ffmpeg subprocess exited with ${exitCode}, log at: ${stderrOutPath}`
+
+  clearTimeout(timeoutTimer);
+  clearTimeout(killTimer);
+  signal?.removeEventListener("abort", onAbort);
+
+  if (spawnError) {
+    const reason =
+      spawnError.code === "ENOENT"
+        ? "ffmpeg was not found in PATH"
+        : `ffmpeg could not be started: ${spawnError.message}`;
+    throw new FfmpegError(reason, { kind: "spawn", command });
+  }
+  if (!stopReason && exitCode === 0) {
+    return true;
+  }
+
+  const stderrTail = readLogTail(stderrOutPath, kStderrTailLines);
+  const props = {
+    command,
+    exitCode,
+    signal: exitSignal,
+    stderrTail,
+    logPath: stderrOutPath,
+  };
+
+  let reason;
+  if (stopReason === "timeout") {
+    props.kind = "timeout";
+    reason = `timed out after ${timeoutMs / 1000} s`;
+  } else if (stopReason === "aborted") {
+    props.kind = "aborted";
+    reason = "aborted";
+  } else {
+    const failure = kFailurePatterns.find(({ re }) =>
+      stderrTail.some((line) => re.test(line))
     );
+    props.kind = failure?.kind ?? "unknown";
+    reason =
+      exitCode != null
+        ? `exited with ${exitCode}`
+        : `was killed by ${exitSignal}`;
+    if (failure) reason += ` (${failure.hint})`;
   }
 
-  return true;
+  const lastLine = stderrTail[stderrTail.length - 1];
+  let message = `ffmpeg ${reason}`;
+  if (lastLine) message += `\n  ${lastLine}`;
+  throw new FfmpegError(message, props);
+}
+
+// converts a report block written by ffmpeg's -progress option into:
+//   { frame, fps, outTimeSecs, speed, done }
+// values that ffmpeg reports as N/A are null.
+export function parseFfmpegProgress(report) {
+  const num = (str) => {
+    const v = parseFloat(str);
+    return Number.isFinite(v) ? v : null;
+  };
+  // out_time_ms is also in microseconds, despite its name
+  const outTimeUs = num(report.out_time_us ?? report.out_time_ms);
+  return {
+    frame: num(report.frame),
+    fps: num(report.fps),
+    outTimeSecs: outTimeUs != null ? Math.max(0, outTimeUs / 1e6) : null,
+    // e.g. "1.52x"
+    speed: num(report.speed),
+    done: report.progress === "end",
+  };
+}
+
+// returns the last lines of a log file. only the end of the file is read,
+// since ffmpeg logs can get large on long inputs.
+export function readLogTail(path, numLines) {
+  const kMaxBytes = 64 * 1024;
+  let text;
+  try {
+    const fd = fs.openSync(path, "r");
+    try {
+      const size = fs.fstatSync(fd).size;
+      const len = Math.min(size, kMaxBytes);
+      const buf = Buffer.alloc(len);
+      fs.readSync(fd, buf, 0, len, size - len);
+      text = buf.toString("utf-8");
+    } finally {
+      fs.closeSync(fd);
+    }
+  } catch (e) {
+    return [];
+  }
+  // progress lines are separated with carriage returns
+  return text
+    .split(/[\r\n]+/)
+    .map((line) => line.trimEnd())
+    .filter((line) => line.length > 0)
+    .slice(-numLines);
 }
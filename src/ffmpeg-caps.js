@@ -0,0 +1,118 @@
+import * as childProcess from 'node:child_process';
+
+// capabilities of the local ffmpeg build, queried once per process
+let g_decoders;
+let g_encoders;
+
+export function getFfmpegDecoders() {
+  if (!g_decoders) g_decoders = queryCodecList('-decoders');
+  return g_decoders;
+}
+
+export function getFfmpegEncoders() {
+  if (!g_encoders) g_encoders = queryCodecList('-encoders');
+  return g_encoders;
+}
+
+// decoders we can use for each codec family, in order of preference.
+// the first one is ffmpeg's builtin decoder which it picks by default.
+const kDecodersByCodecFamily = {
+  vp8: ['vp8', 'libvpx'],
+  vp9: ['vp9', 'libvpx-vp9'],
+  h264: ['h264'],
+  av1: ['libdav1d', 'libaom-av1', 'av1'],
+  opus: ['opus', 'libopus'],
+};
+
+// pixel formats that the normalizer's scale filter is known to handle well
+const kSupportedPixelFormats = [
+  'yuv420p',
+  'yuvj420p',
+  'yuva420p',
+  'yuv420p10le',
+  'yuv422p',
+  'yuv444p',
+  'nv12',
+];
+
+// checks a track analysis against the local ffmpeg build.
+// returns { decoder, errors, warnings }; if errors is non-empty,
+// the track can't be normalized on this machine.
+export function checkCodecSupport(analysis) {
+  const { codec } = analysis;
+  const errors = [];
+  const warnings = [];
+  let decoder = null;
+
+  if (!codec) {
+    errors.push('analysis has no codec info (re-run with --reanalyze)');
+    return { decoder, errors, warnings };
+  }
+
+  const candidates = kDecodersByCodecFamily[codec.family];
+  if (!candidates) {
+    warnings.push(
+      `codec "${codec.name}" is not one of the expected raw-tracks codecs`
+    );
+  }
+
+  const decoders = getFfmpegDecoders();
+  if (decoders.size > 0) {
+    decoder =
+      (candidates ?? [codec.name]).find((d) => decoders.has(d)) ?? null;
+    if (!decoder) {
+      errors.push(
+        `the local ffmpeg build has no decoder for codec "${codec.name}"`
+      );
+    }
+  } else {
+    warnings.push("couldn't query ffmpeg decoders, assuming default decoder");
+  }
+
+  if (
+    analysis.isVideo &&
+    codec.pixelFormat &&
+    !kSupportedPixelFormats.includes(codec.pixelFormat)
+  ) {
+    warnings.push(
+      `unusual pixel format "${codec.pixelFormat}", output colors may be off`
+    );
+  }
+
+  return { decoder, errors, warnings };
+}
+
+// input args that force the decoder picked by checkCodecSupport,
+// in case it's not the one ffmpeg would choose by default.
+// these must be placed before the '-i' arg.
+export function getInputDecoderArgs(analysis) {
+  const { decoder } = checkCodecSupport(analysis);
+  const defaultDecoder = kDecodersByCodecFamily[analysis.codec?.family]?.[0];
+  if (!decoder || decoder === defaultDecoder) return [];
+
+  return [analysis.isVideo ? '-c:v' : '-c:a', decoder];
+}
+
+// --- utility functions ---
+
+function queryCodecList(flag) {
+  const names = new Set();
+  try {
+    const probe = childProcess.spawnSync('ffmpeg', ['-hide_banner', flag], {
+      encoding: 'utf-8',
+    });
+    if (probe.status !== 0) return names;
+
+    // the list starts after a separator line, each entry looks like:
+    //  V....D vp8                  On2 VP8
+    const lines = probe.stdout.split('\n');
+    const start = lines.findIndex((l) => l.trim().startsWith('---'));
+    for (const line of lines.slice(start + 1)) {
+      const m = line.match(/^\s*[VAS][A-Z.]{5}\s+(\S+)/);
+      if (m) names.add(m[1]);
+    }
+  } catch (err) {
+    console.warn('Unable to query ffmpeg %s: %s', flag, err?.message || err);
+  }
+  return names;
+}
@@ -1,94 +1,193 @@
 import * as fs from "node:fs";
-import * as Path from "node:path";
 import * as childProcess from "node:child_process";
 
-// this could be configurable
-const g_stderrTempFilePrefix = "rawtracks_ffprobe_";
+import { readLogTail } from "./ffexec.js";
+import { getActiveWorkspace, trackChildProcess } from "./workspace.js";
 
-export async function runFfprobeCommandAsync(contextId, args) {
+const g_stderrTempFilePrefix = "ffprobe_";
+
+// number of stderr lines included in error messages
+const kStderrTailLines = 5;
+
+// runs ffprobe and returns the parsed items.
+// for long tracks, pass an `onFrame` callback in opts: frames are then handed
+// to the callback as they're parsed and not kept in the returned object.
+// ffprobe is stopped if the AbortSignal in `opts.signal` fires.
+export async function runFfprobeCommandAsync(contextId, args, opts = {}) {
+  const { onFrame, onStream, signal } = opts;
+
+  const ret = {
+    streams: [],
+    frames: [],
+  };
+
+  const items = streamFfprobeItems(contextId, args, { signal });
+  for await (const { type, item } of items) {
+    if (type === "frame") {
+      if (onFrame) onFrame(item);
+      else ret.frames.push(item);
+    } else if (type === "stream") {
+      if (onStream) onStream(item);
+      ret.streams.push(item);
+    }
+  }
+
+  return ret;
+}
+
+// async iterator version of the above.
+// yields objects like { type: 'frame', item: { pts_time: ..., ... } }
+// as ffprobe writes them. the child process is killed if the caller stops iterating early,
+// or if the AbortSignal in `opts.signal` fires.
+export async function* streamFfprobeItems(contextId, args, opts = {}) {
   if (!Array.isArray(args)) {
     throw new Error("Invalid args for ffprobe");
   }
+  const { signal } = opts;
+  signal?.throwIfAborted();
   if (!args.includes("-hide_banner")) {
     args = ["-hide_banner"].concat(args);
   }
 
-  console.log("cmd:  ffprobe", args.join(" "));
+  console.error("cmd:  ffprobe", args.join(" "));
 
-  const stderrOutPath = Path.resolve(
-    "/tmp",
+  const workspace = getActiveWorkspace();
+  const stderrOutPath = workspace.path(
     `${g_stderrTempFilePrefix}${contextId}.txt`
   );
   try {
     fs.rmSync(stderrOutPath);
   } catch (e) {}
 
-  const child = childProcess.spawn("ffprobe", args, {});
-
-  const ret = {
-    streams: [],
-    frames: [],
-  };
-
-  child.stdout.on("data", (data) => {
-    let str = data.toString();
-    let idx;
-
-    let numItems = 0;
-    while ((idx = str.indexOf("[")) !== -1) {
-      numItems++;
-      str = str.substring(idx);
-
-      if (str.indexOf("[FRAME]") === 0) {
-        if ((idx = str.indexOf("[/FRAME]")) < 0) {
-          console.error("** frame end marker missing");
-          throw new Error("Unsupported data");
-        }
-        ret.frames.push(
-          parseFfprobeItem(
-            str.substring("[FRAME]".length, idx),
-            kItemTypes_frame
-          )
-        );
-        str = str.substring(idx + "[/FRAME]".length);
-      } else if (str.indexOf("[STREAM]") === 0) {
-        if ((idx = str.indexOf("[/STREAM]")) < 0) {
-          console.error("** stream end marker missing");
-          throw new Error("Unsupported data");
-        }
-        ret.streams.push(
-          parseFfprobeItem(
-            str.substring("[STREAM]".length, idx),
-            kItemTypes_stream
-          )
-        );
-        str = str.substring(idx + "[/STREAM]".length);
-      } else {
-        console.error("** unknown data from ffprobe: " + str);
-        throw new Error("Unsupported data");
-      }
-    }
+  const stderrFd = fs.openSync(stderrOutPath, "w");
+  const child = childProcess.spawn("ffprobe", args, {
+    // same as with ffmpeg, don't let an unread stderr pipe fill up
+    stdio: ["ignore", "pipe", stderrFd],
   });
+  fs.closeSync(stderrFd);
+  trackChildProcess(child);
 
+  let childError;
   child.on("error", (err) => {
-    throw new Error(`ffprobe child error: ${err.message}`);
+    childError = err;
   });
-
-  const exitCode = await new Promise((resolve) => {
+  const onAbort = () => child.kill();
+  signal?.addEventListener("abort", onAbort, { once: true });
+  const exitPromise = new Promise((resolve) => {
     child.on("close", resolve);
   });
-  if (exitCode) {
-    throw new Error(
-      `ffprobe subprocess exited with ${exitCode}, log at: ${stderrOutPath}`
-    );
+
+  const parser = new FfprobeOutputParser();
+  let finished = false;
+
+  try {
+    child.stdout.setEncoding("utf-8");
+
+    // reading the stream with for-await gives us backpressure:
+    // ffprobe is paused while the consumer is busy with a frame
+    for await (const chunk of child.stdout) {
+      yield* parser.push(chunk);
+    }
+    // an abort kills ffprobe mid-section, so check it before end() reports
+    // the truncated output as unsupported data
+    signal?.throwIfAborted();
+    yield* parser.end();
+
+    const exitCode = await exitPromise;
+    signal?.throwIfAborted();
+    if (childError) {
+      throw new Error(`ffprobe child error: ${childError.message}`);
+    }
+    if (exitCode) {
+      let message = `ffprobe subprocess exited with ${exitCode}`;
+      for (const line of readLogTail(stderrOutPath, kStderrTailLines)) {
+        message += `\n  ${line}`;
+      }
+      // the log is removed along with the workspace, unless it's kept
+      if (workspace.keep) message += `\nlog at: ${stderrOutPath}`;
+      throw new Error(message);
+    }
+    finished = true;
+  } finally {
+    signal?.removeEventListener("abort", onAbort);
+    if (!finished && child.exitCode == null) {
+      child.kill();
+    }
   }
+}
 
-  return ret;
+// incremental parser for ffprobe's default output writer.
+// data can be pushed in arbitrary chunks; a section that is split across
+// chunks is kept in a line buffer until its end marker arrives.
+export class FfprobeOutputParser {
+  constructor() {
+    this.partialLine = "";
+    this.section = null;
+    this.sectionLines = [];
+  }
+
+  // returns an array of parsed items completed by this chunk
+  push(str) {
+    const items = [];
+    const lines = (this.partialLine + str).split("\n");
+
+    // the last element is either empty or an incomplete line
+    this.partialLine = lines.pop();
+
+    for (const line of lines) {
+      const item = this.parseLine(line);
+      if (item) items.push(item);
+    }
+    return items;
+  }
+
+  // call when the output has ended. throws if a section was left open
+  end() {
+    const items = [];
+    if (this.partialLine.length > 0) {
+      const item = this.parseLine(this.partialLine);
+      if (item) items.push(item);
+      this.partialLine = "";
+    }
+    if (this.section) {
+      console.error(`** ${this.section.toLowerCase()} end marker missing`);
+      throw new Error("Unsupported data");
+    }
+    return items;
+  }
+
+  parseLine(line) {
+    line = line.trimEnd();
+
+    if (!this.section) {
+      if (line.length < 1) return null;
+
+      const m = line.match(/^\[(\w+)\]$/);
+      if (!m || !kItemTypesBySection[m[1]]) {
+        console.error("** unknown data from ffprobe: " + line);
+        throw new Error("Unsupported data");
+      }
+      this.section = m[1];
+      this.sectionLines = [];
+      return null;
+    }
+
+    if (line === `[/${this.section}]`) {
+      const { type, itemTypes } = kItemTypesBySection[this.section];
+      const item = parseFfprobeItem(this.sectionLines, itemTypes);
+      this.section = null;
+      this.sectionLines = [];
+      return { type, item };
+    }
+
+    // nested sections like [SIDE_DATA] are flattened into the parent item
+    this.sectionLines.push(line);
+    return null;
+  }
 }
 
-function parseFfprobeItem(str, itemTypes) {
+function parseFfprobeItem(lines, itemTypes) {
   const d = {};
-  const lines = str.split("\n");
 
   const { knownFloatKeys, knownIntKeys } = itemTypes;
 
@@ -115,6 +214,9 @@ const kItemTypes_frame = {
     "width",
     "height",
     "stream_index",
+    "pkt_size",
+    "nb_samples",
+    "sample_rate",
   ],
   knownFloatKeys: ["pts_time", "pkt_dts_time", "duration_time"],
 };
@@ -130,3 +232,8 @@ const kItemTypes_stream = {
   ],
   knownFloatKeys: ["start_time"],
 };
+
+const kItemTypesBySection = {
+  FRAME: { type: "frame", itemTypes: kItemTypes_frame },
+  STREAM: { type: "stream", itemTypes: kItemTypes_stream },
+};
@@ -0,0 +1,83 @@
+// the package's library API. the functions take an options object and
+// return a result object, and report problems by throwing RawTracksError
+// or FfmpegError. long-running ones accept an AbortSignal as `signal` and
+// an `onProgress` callback, see createProgressReporter() for its argument.
+import * as fs from 'node:fs';
+
+import { analyzeTrackCached } from './analysis-cache.js';
+import {
+  analyzeTrack as analyzeTrackUncached,
+  getTrackHealthVerdict,
+} from './analyze-track.js';
+import { RawTracksError } from './errors.js';
+import { createWorkspace, runInWorkspace } from './workspace.js';
+
+export { mixAudioTracks } from './audio-mix.js';
+export { kAudioCleanupPresetNames } from './audio-cleanup.js';
+export { kAudioCodecNames } from './audio-output-formats.js';
+export { compositeTracks } from './composite.js';
+export { RawTracksError } from './errors.js';
+export { FfmpegError } from './ffexec.js';
+export {
+  kAlignModes,
+  kFpsConversionModes,
+  kGapFillModes,
+  kVideoFitModes,
+  kVideoOutputSizeModes,
+  normalizeTracks,
+} from './normalize.js';
+export { ExecutionPlan, formatExecutionPlan } from './plan.js';
+export { kProgressFormats } from './progress.js';
+export { parseRawTracksFilename } from './raw-tracks-filename.js';
+export {
+  generateManifest,
+  getTrackSyncOffsetMs,
+} from './raw-tracks-manifest.js';
+export { analyzeRecording } from './recording-report.js';
+export {
+  kVideoCodecNames,
+  kVideoEncoderProfileNames,
+} from './video-encoder-profiles.js';
+
+// analyzes the frames of a single track.
+// opts:
+//   input: path of the track (required)
+//   reanalyze: ignore an existing sidecar analysis file
+//   cache: set to false to neither read nor write the sidecar file
+//   signal: AbortSignal to stop ffprobe
+//   tmpDir, keepTmp: see createWorkspace()
+//   analyzeAudioLevels, analyzeLoudness, minGapDurationInSecs, etc.:
+//     passed on to the analysis
+// returns { analysis, health }, where health is from getTrackHealthVerdict().
+export async function analyzeTrack(opts = {}) {
+  const {
+    input,
+    cache = true,
+    reanalyze,
+    tmpDir,
+    keepTmp,
+    ...analysisOpts
+  } = opts;
+  if (!input) {
+    throw new RawTracksError('input path is required', 'invalid-option');
+  }
+  if (!fs.existsSync(input)) {
+    throw new RawTracksError(
+      `input path doesn't exist: ${input}`,
+      'invalid-input'
+    );
+  }
+
+  // ffprobe logs go in a workspace of this call's own
+  const workspace = createWorkspace('analyze', { tmpDir, keep: !!keepTmp });
+  try {
+    const analysis = await runInWorkspace(workspace, () =>
+      cache
+        ? analyzeTrackCached('analyze', input, { ...analysisOpts, reanalyze })
+        : analyzeTrackUncached('analyze', input, analysisOpts)
+    );
+    return { analysis, health: getTrackHealthVerdict(analysis) };
+  } finally {
+    workspace.cleanup();
+  }
+}
@@ -0,0 +1,577 @@
+import * as fs from 'node:fs';
+import * as Path from 'node:path';
+
+import { analyzeTrackCached } from './analysis-cache.js';
+import { resolveAudioCleanupChain } from './audio-cleanup.js';
+import {
+  checkAudioOutputFormatSupport,
+  getMuxContainer,
+  resolveAudioOutputFormat,
+} from './audio-output-formats.js';
+import { RawTracksError } from './errors.js';
+import { runFfmpegCommandAsync } from './ffexec.js';
+import { checkCodecSupport } from './ffmpeg-caps.js';
+import {
+  estimateAudioBytes,
+  estimateVideoBytes,
+  ExecutionPlan,
+} from './plan.js';
+import { createProgressReporter } from './progress.js';
+import { parseRawTracksFilename } from './raw-tracks-filename.js';
+import {
+  findManifestTrack,
+  getTrackSyncOffsetMs,
+} from './raw-tracks-manifest.js';
+import {
+  normalizeAudioTrack,
+  normalizeVideoTrackToM4V,
+} from './render-track.js';
+import {
+  checkVideoEncoderProfileSupport,
+  resolveVideoEncoderProfile,
+} from './video-encoder-profiles.js';
+import { createWorkspace, moveFile, runInWorkspace } from './workspace.js';
+
+export const kFpsConversionModes = ['dup', 'blend', 'interpolate'];
+export const kVideoFitModes = ['letterbox', 'blur', 'crop', 'stretch'];
+export const kVideoOutputSizeModes = ['max', 'dominant'];
+export const kGapFillModes = ['black', 'freeze', 'image', 'slate'];
+export const kAlignModes = ['track', 'recording'];
+
+// normalizes raw-tracks files. if both a video and an audio track are given,
+// they're also combined into one file.
+// opts:
+//   inputs: array of input file paths (required)
+//   outputDir: defaults to the directory of the first input
+//   audio: { codec, sampleRate, channels, bitDepth }, see
+//     resolveAudioOutputFormat()
+//   video: { profile, codec, crf, bitrate, preset, keyframeInterval }, see
+//     resolveVideoEncoderProfile()
+//   cleanup: { preset, loudnessTarget, highpassHz, denoiseDb, limiterDb,
+//     gainDb }, see resolveAudioCleanupChain()
+//   driftCorrection: if true, audio clock drift is corrected
+//   frameRate: a number, or 'auto' to use the track's measured rate
+//   fpsConversion: one of kFpsConversionModes, defaults to 'dup'
+//   fit: one of kVideoFitModes ('pillarbox' is the same as 'letterbox')
+//   outputSize: one of kVideoOutputSizeModes
+//   gapFill: { mode, imagePath, slateText }, mode is one of kGapFillModes
+//   align: one of kAlignModes. 'recording' starts outputs at the
+//     recording start, using the manifest or the raw-tracks filenames
+//   manifest: the recording's raw-tracks manifest object
+//   videoSyncOffsetMs, audioSyncOffsetMs: replace the manifest's offsets
+//   from, to: trim range, either seconds on the output timeline or
+//     wall-clock time strings
+//   reanalyze: if true, cached analyses are ignored
+//   tmpDir, keepTmp: see createWorkspace()
+//   signal: an AbortSignal that stops processing
+//   timeoutMs: time limit for each ffmpeg run
+//   onProgress: called with overall progress objects like
+//     { percent, etaSecs, step, stepPercent, fps, speed }
+//   progressFormat: also write progress to stdout, see createProgressReporter()
+//   dryRun: if true, the inputs are analyzed but nothing is written.
+//     the result's `plan` lists the commands that would run, see
+//     ExecutionPlan
+//   plan: an ExecutionPlan to add to instead, implies dryRun
+// returns { outputs, combined, plan }: the paths of all written files, the
+// combined file's path if one was written, and the plan for dry runs
+// (otherwise null).
+// throws RawTracksError for invalid options or inputs, and FfmpegError if
+// ffmpeg fails. temp files are removed in either case.
+export async function normalizeTracks(opts = {}) {
+  const settings = resolveNormalizeSettings(opts);
+  const plan = opts.plan ?? (opts.dryRun ? new ExecutionPlan() : null);
+
+  const workspace = createWorkspace('normalize', {
+    tmpDir: opts.tmpDir,
+    keep: !!opts.keepTmp,
+  });
+  const progress = createProgressReporter({
+    format: opts.progressFormat ?? 'none',
+    onUpdate: opts.onProgress,
+  });
+  try {
+    return await runInWorkspace(workspace, () =>
+      runNormalizeJob(opts, settings, workspace, progress, plan)
+    );
+  } finally {
+    progress.end();
+    workspace.cleanup();
+  }
+}
+
+// validates the options that don't depend on the inputs
+function resolveNormalizeSettings(opts) {
+  if (!Array.isArray(opts.inputs) || opts.inputs.length < 1) {
+    throw new RawTracksError('no input files given', 'invalid-option');
+  }
+
+  const audioFormat = resolveOption(() =>
+    resolveAudioOutputFormat(opts.audio)
+  );
+  const videoEncoderProfile = resolveOption(() =>
+    resolveVideoEncoderProfile(opts.video ?? {})
+  );
+  const audioCleanup = resolveOption(() =>
+    resolveAudioCleanupChain(opts.cleanup)
+  );
+
+  const frameRate = opts.frameRate;
+  if (
+    frameRate != null &&
+    frameRate !== 'auto' &&
+    !(Number.isFinite(frameRate) && frameRate > 0)
+  ) {
+    throw new RawTracksError(
+      `invalid frame rate: ${frameRate}`,
+      'invalid-option'
+    );
+  }
+  const fpsConversion = checkMode(
+    'fps conversion',
+    opts.fpsConversion ?? 'dup',
+    kFpsConversionModes
+  );
+
+  // letterbox and pillarbox are the same operation, in different directions
+  let fit = opts.fit ?? 'letterbox';
+  if (fit === 'pillarbox') fit = 'letterbox';
+  checkMode('fit', fit, kVideoFitModes);
+  const outputSize = checkMode(
+    'output size',
+    opts.outputSize ?? 'max',
+    kVideoOutputSizeModes
+  );
+
+  const gapFill = { mode: 'black', ...opts.gapFill };
+  checkMode('gap fill', gapFill.mode, kGapFillModes);
+  if (gapFill.mode === 'image') {
+    if (!gapFill.imagePath || !fs.existsSync(gapFill.imagePath)) {
+      throw new RawTracksError(
+        'gap fill "image" requires an existing image file',
+        'invalid-option'
+      );
+    }
+  }
+
+  const align = checkMode('align', opts.align ?? 'track', kAlignModes);
+
+  for (const key of ['from', 'to']) {
+    const v = opts[key];
+    if (v == null) continue;
+    const valid =
+      typeof v === 'number'
+        ? Number.isFinite(v) && v >= 0
+        : isSecsArg(v) || Number.isFinite(Date.parse(v));
+    if (!valid) {
+      throw new RawTracksError(
+        `invalid trim time for ${key}: ${v}`,
+        'invalid-option'
+      );
+    }
+  }
+
+  if (opts.timeoutMs != null && !(opts.timeoutMs > 0)) {
+    throw new RawTracksError(
+      `invalid timeout: ${opts.timeoutMs}`,
+      'invalid-option'
+    );
+  }
+
+  return {
+    audioFormat,
+    videoEncoderProfile,
+    audioCleanup,
+    frameRate,
+    fpsConversion,
+    fit,
+    outputSize,
+    gapFill,
+    align,
+  };
+}
+
+async function runNormalizeJob(opts, settings, workspace, progress, plan) {
+  const { audioFormat, videoEncoderProfile, audioCleanup } = settings;
+  const { signal, timeoutMs } = opts;
+
+  const outputDir = opts.outputDir || Path.dirname(opts.inputs[0]);
+  if (!plan) fs.mkdirSync(outputDir, { recursive: true });
+
+  let videoPath;
+  let audioPath;
+  let combinedOutputPath;
+  // files to move to the output dir at the end
+  const outputPaths = [];
+  // estimated sizes of the intermediates, for dry runs
+  let videoBytes = 0;
+  let audioBytes = 0;
+
+  // analyze all inputs first, so we can fail early
+  // if one of them can't be processed with the local ffmpeg build
+  const inputs = [];
+  for (const inputPath of opts.inputs) {
+    if (!fs.existsSync(inputPath)) {
+      throw new RawTracksError(
+        `input path doesn't exist: ${inputPath}`,
+        'invalid-input'
+      );
+    }
+    const basename = Path.basename(inputPath, Path.extname(inputPath));
+
+    const placement = getTrackPlacement(inputPath, opts.manifest, settings);
+    const { zeroTs, alignOffset } = placement;
+    if (alignOffset > 0) {
+      console.error(
+        '%s: aligned to recording start, offset %s s',
+        inputPath,
+        alignOffset
+      );
+    }
+
+    const ctxName = `analyze_${basename}`;
+    let analysis = await analyzeTrackCached(ctxName, inputPath, {
+      reanalyze: !!opts.reanalyze,
+      signal,
+    });
+    // loudness normalization is based on a measurement when possible.
+    // it's added to the cached analysis of audio tracks
+    if (!analysis.isVideo && audioCleanup.loudnessTarget != null) {
+      analysis = await analyzeTrackCached(ctxName, inputPath, {
+        analyzeLoudness: true,
+        signal,
+      });
+    }
+
+    const { decoder, errors, warnings } = checkCodecSupport(analysis);
+    for (const w of warnings) {
+      console.warn('Warning: %s: %s', inputPath, w);
+    }
+    if (errors.length > 0) {
+      const codecName = analysis.codec?.name ?? 'unknown';
+      throw new RawTracksError(
+        `Can't normalize ${inputPath} (codec ${codecName}):\n  ` +
+          errors.join('\n  '),
+        'unsupported'
+      );
+    }
+    const encoderError = analysis.isVideo
+      ? checkVideoEncoderProfileSupport(videoEncoderProfile)
+      : checkAudioOutputFormatSupport(audioFormat);
+    if (encoderError) {
+      throw new RawTracksError(
+        `Can't normalize ${inputPath}: ${encoderError}`,
+        'unsupported'
+      );
+    }
+    console.error(
+      '%s: codec %s, using decoder %s',
+      inputPath,
+      analysis.codec.name,
+      decoder ?? 'default'
+    );
+
+    // sync offsets given as options replace the ones from the manifest
+    const syncOffsetMs =
+      (analysis.isVideo ? opts.videoSyncOffsetMs : opts.audioSyncOffsetMs) ??
+      placement.syncOffsetMs;
+    if (syncOffsetMs !== 0) {
+      console.error('%s: sync offset %s ms', inputPath, syncOffsetMs);
+    }
+    const timelineOffset = alignOffset + syncOffsetMs / 1000;
+    if (analysis.endTime + timelineOffset <= 0) {
+      throw new RawTracksError(
+        `${inputPath}: sync offset ${syncOffsetMs} ms is longer than the track`,
+        'invalid-option'
+      );
+    }
+
+    let trim;
+    if (opts.from != null || opts.to != null) {
+      trim = {
+        from: parseTrimTime(opts.from, inputPath, zeroTs),
+        to: parseTrimTime(opts.to, inputPath, zeroTs),
+      };
+      if (trim.from != null && trim.to != null && trim.to <= trim.from) {
+        throw new RawTracksError(
+          'trim end must be after the start',
+          'invalid-option'
+        );
+      }
+      if (trim.from >= analysis.endTime + timelineOffset) {
+        throw new RawTracksError(
+          `${inputPath}: trim start is past the end of the track ` +
+            `(${analysis.endTime + timelineOffset} s)`,
+          'invalid-option'
+        );
+      }
+      console.error(
+        '%s: trimming to %s - %s s',
+        inputPath,
+        trim.from ?? 0,
+        trim.to ?? analysis.endTime + timelineOffset
+      );
+    }
+
+    inputs.push({ inputPath, basename, analysis, trim, timelineOffset });
+  }
+
+  // steps are weighted by track duration.
+  // encoding video takes much longer than audio, and muxing is quick
+  for (const { basename, analysis } of inputs) {
+    const kind = analysis.isVideo ? 'video' : 'audio';
+    progress.addStep(
+      `${kind}_${basename}`,
+      `${kind} ${basename}`,
+      analysis.endTime * (analysis.isVideo ? 10 : 1)
+    );
+  }
+  const willCombine =
+    inputs.some((inp) => inp.analysis.isVideo) &&
+    inputs.some((inp) => !inp.analysis.isVideo);
+  const combineDuration = Math.max(
+    ...inputs.map((inp) => inp.analysis.endTime)
+  );
+  if (willCombine) {
+    progress.addStep('combine', 'combining', combineDuration * 0.1);
+  }
+
+  for (const {
+    inputPath,
+    basename,
+    analysis,
+    trim,
+    timelineOffset,
+  } of inputs) {
+    if (analysis.isVideo) {
+      const videoOutputPath = workspace.path(
+        `${basename}_normalized.${videoEncoderProfile.container}`
+      );
+
+      const rendered = await normalizeVideoTrackToM4V(
+        basename,
+        analysis,
+        inputPath,
+        videoOutputPath,
+        {
+          encoderProfile: videoEncoderProfile,
+          gapFill: settings.gapFill,
+          fit: settings.fit,
+          outputSize: settings.outputSize,
+          frameRate: settings.frameRate,
+          fpsConversion: settings.fpsConversion,
+          trim,
+          timelineOffset,
+          signal,
+          timeoutMs,
+          plan,
+          onProgress: progress.getFfmpegListener(`video_${basename}`),
+        }
+      );
+      progress.complete(`video_${basename}`);
+      if (plan) {
+        videoBytes = estimateVideoBytes(
+          videoEncoderProfile,
+          rendered.videoSize,
+          rendered.frameRate,
+          rendered.durationSecs
+        );
+        plan.addTrack({
+          kind: 'video',
+          input: inputPath,
+          output: videoOutputPath,
+          ...rendered,
+          gapFill: settings.gapFill,
+        });
+        plan.addTempSpace(videoBytes);
+      }
+      videoPath = videoOutputPath;
+      outputPaths.push(videoOutputPath);
+
+      const combinedExt = getMuxContainer(
+        videoEncoderProfile.container,
+        audioFormat
+      );
+      combinedOutputPath = workspace.path(
+        `${basename}_combined.${combinedExt}`
+      );
+    } else {
+      const audioOutputPath = workspace.path(
+        `${basename}_normalized.${audioFormat.ext}`
+      );
+
+      const rendered = await normalizeAudioTrack(
+        basename,
+        analysis,
+        inputPath,
+        audioOutputPath,
+        audioFormat,
+        {
+          driftCorrection: !!opts.driftCorrection,
+          cleanup: audioCleanup,
+          trim,
+          timelineOffset,
+          signal,
+          timeoutMs,
+          plan,
+          onProgress: progress.getFfmpegListener(`audio_${basename}`),
+        }
+      );
+      progress.complete(`audio_${basename}`);
+      if (plan) {
+        audioBytes = estimateAudioBytes(audioFormat, rendered.durationSecs);
+        plan.addTrack({
+          kind: 'audio',
+          input: inputPath,
+          output: audioOutputPath,
+          ...rendered,
+        });
+        plan.addTempSpace(audioBytes);
+      }
+      audioPath = audioOutputPath;
+      outputPaths.push(audioOutputPath);
+    }
+  }
+
+  let combined = null;
+  if (videoPath && audioPath && combinedOutputPath) {
+    const basename = Path.basename(
+      combinedOutputPath,
+      Path.extname(combinedOutputPath)
+    );
+
+    const args = [
+      '-i',
+      videoPath,
+      '-i',
+      audioPath,
+      '-c',
+      'copy',
+      '-map',
+      '0:0',
+      '-map',
+      '1:0',
+      combinedOutputPath,
+    ];
+    await runFfmpegCommandAsync(`combine_${basename}`, args, {
+      signal,
+      timeoutMs,
+      plan,
+      onProgress: progress.getFfmpegListener('combine', combineDuration),
+    });
+    progress.complete('combine');
+
+    // the muxed inputs stay in the workspace
+    outputPaths.splice(outputPaths.indexOf(videoPath), 1);
+    outputPaths.splice(outputPaths.indexOf(audioPath), 1);
+    outputPaths.push(combinedOutputPath);
+    combined = Path.resolve(outputDir, Path.basename(combinedOutputPath));
+    plan?.addTempSpace(videoBytes + audioBytes);
+  }
+
+  const outputs = [];
+  for (const path of outputPaths) {
+    const dst = Path.resolve(outputDir, Path.basename(path));
+    if (plan) {
+      // tracks that aren't combined are listed at their final path
+      const track = plan.findTrack(path);
+      if (track) track.output = dst;
+      plan.addOutput(dst);
+    } else {
+      moveFile(path, dst);
+      console.error('output written to: %s', dst);
+    }
+    outputs.push(dst);
+  }
+
+  return { outputs, combined, plan };
+}
+
+// errors from the resolve functions are about option values
+function resolveOption(fn) {
+  try {
+    return fn();
+  } catch (e) {
+    throw new RawTracksError(e.message, 'invalid-option');
+  }
+}
+
+function checkMode(name, value, modes) {
+  if (!modes.includes(value)) {
+    throw new RawTracksError(
+      `${name} must be one of: ${modes.join(', ')}`,
+      'invalid-option'
+    );
+  }
+  return value;
+}
+
+function isSecsArg(str) {
+  return /^\d+(\.\d+)?$/.test(str);
+}
+
+// returns { zeroTs, alignOffset, syncOffsetMs }: the wall-clock time of the
+// output's zero point, how far into the output the track starts, and any
+// sync correction for the track from the manifest
+function getTrackPlacement(inputPath, manifest, { align }) {
+  const fromFilename = parseRawTracksFilename(inputPath);
+  const found = manifest ? findManifestTrack(manifest, inputPath) : null;
+  if (manifest && !found) {
+    throw new RawTracksError(
+      `track ${inputPath} not found in manifest`,
+      'invalid-input'
+    );
+  }
+
+  let syncOffsetMs = 0;
+  if (found) {
+    try {
+      syncOffsetMs = getTrackSyncOffsetMs(found.participant, found.track);
+    } catch (e) {
+      throw new RawTracksError(e.message, 'invalid-input');
+    }
+  }
+
+  if (align === 'track') {
+    return {
+      zeroTs: found?.track.startTs ?? fromFilename?.trackStartTs,
+      alignOffset: 0,
+      syncOffsetMs,
+    };
+  }
+
+  if (Number.isFinite(found?.track.startOffsetSecs)) {
+    return {
+      zeroTs: manifest.recordingStartTs,
+      alignOffset: found.track.startOffsetSecs,
+      syncOffsetMs,
+    };
+  }
+  if (!fromFilename) {
+    throw new RawTracksError(
+      `can't align ${inputPath} to the recording start, its filename has ` +
+        'no timestamps (pass the recording manifest)',
+      'invalid-input'
+    );
+  }
+  return {
+    zeroTs: fromFilename.recordingStartTs,
+    alignOffset: fromFilename.startOffsetSecs,
+    syncOffsetMs,
+  };
+}
+
+// returns seconds on the output timeline
+function parseTrimTime(value, inputPath, zeroTs) {
+  if (value == null) return undefined;
+  if (typeof value === 'number') return value;
+  if (isSecsArg(value)) return parseFloat(value);
+
+  if (zeroTs == null) {
+    throw new RawTracksError(
+      `can't use a wall-clock time for ${inputPath}, its filename has no ` +
+        'timestamp (give the time in seconds instead)',
+      'invalid-input'
+    );
+  }
+  return Math.max(0, (Date.parse(value) - zeroTs) / 1000);
+}
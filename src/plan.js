@@ -0,0 +1,195 @@
+// records what a job would do without doing it, for dry runs.
+// the processing functions take a plan in their opts, and with one they
+// still analyze their inputs but add the commands that write media to
+// the plan instead of running them.
+
+// rough bits per pixel for video profiles without a fixed bitrate.
+// intra-only mezzanine formats are many times larger
+const kInterFrameBitsPerPixel = 0.1;
+const kIntraFrameBitsPerPixel = 3;
+
+// size of a raw yuv420p frame
+const kYuvBytesPerPixel = 1.5;
+
+export class ExecutionPlan {
+  constructor() {
+    // { tool, args, cwd }, in the order they would run
+    this.commands = [];
+    // normalized tracks: { input, output, kind, durationSecs, gaps, ... }
+    this.tracks = [];
+    // composite render segments: { index, startFrame, numFrames, ... }
+    this.segments = [];
+    this.outputs = [];
+    this.warnings = [];
+    // temp files that are kept until the job ends, and the largest amount
+    // of short-lived ones at any one time
+    this.tempBytes = 0;
+    this.peakTransientTempBytes = 0;
+  }
+
+  addCommand(tool, args, opts = {}) {
+    this.commands.push({
+      tool,
+      args: args.map(String),
+      cwd: opts.cwd ?? null,
+    });
+  }
+
+  addTrack(track) {
+    this.tracks.push(track);
+  }
+
+  // returns the planned track that will be written to this path
+  findTrack(output) {
+    return this.tracks.find((t) => t.output === output) ?? null;
+  }
+
+  addSegment(segment) {
+    this.segments.push(segment);
+  }
+
+  addOutput(path) {
+    this.outputs.push(path);
+  }
+
+  addWarning(message) {
+    this.warnings.push(message);
+  }
+
+  addTempSpace(bytes) {
+    this.tempBytes += bytes;
+  }
+
+  addTransientTempSpace(bytes) {
+    this.peakTransientTempBytes = Math.max(this.peakTransientTempBytes, bytes);
+  }
+
+  getTempSpaceNeeded() {
+    return this.tempBytes + this.peakTransientTempBytes;
+  }
+
+  toJSON() {
+    return {
+      commands: this.commands.map((c) => ({
+        ...c,
+        command: formatCommand(c),
+      })),
+      tracks: this.tracks,
+      segments: this.segments,
+      outputs: this.outputs,
+      warnings: this.warnings,
+      tempSpaceBytes: this.getTempSpaceNeeded(),
+    };
+  }
+}
+
+// the plan as text for the CLI tools
+export function formatExecutionPlan(plan) {
+  const lines = ['', '=== Execution plan (dry run) ==='];
+
+  for (const t of plan.tracks) {
+    lines.push('', `${t.kind} track: ${t.input}`);
+    lines.push(`  output: ${t.output}`);
+    lines.push(`  duration: ${t.durationSecs} s`);
+    if (t.videoSize) {
+      const { w, h } = t.videoSize;
+      lines.push(`  size: ${w}x${h} at ${t.frameRate} fps`);
+    }
+    if (t.gaps.length > 0) {
+      const fill = t.gapFill ? ` (fill: ${t.gapFill.mode})` : ' (silence)';
+      lines.push(`  gaps to fill${fill}:`);
+      for (const g of t.gaps) lines.push(`    ${g.start} - ${g.end} s`);
+    } else {
+      lines.push('  no gaps');
+    }
+    if (t.segments) {
+      lines.push('  segments:');
+      for (const s of t.segments) {
+        lines.push(`    ${s.type} ${s.start} - ${s.end} s`);
+      }
+    }
+  }
+
+  if (plan.segments.length > 0) {
+    lines.push('', 'render segments:');
+    for (const s of plan.segments) {
+      const inputs = s.videoInputIds.join(', ') || 'none';
+      lines.push(
+        `  ${s.index + 1}: frames ${s.startFrame} - ${
+          s.startFrame + s.numFrames
+        }, video inputs: ${inputs}`
+      );
+    }
+  }
+
+  lines.push('', 'commands:');
+  for (const c of plan.commands) {
+    if (c.cwd) lines.push(`  (in ${c.cwd})`);
+    lines.push(`  ${formatCommand(c)}`);
+  }
+
+  lines.push(
+    '',
+    `temp space needed: about ${formatMegabytes(plan.getTempSpaceNeeded())}`
+  );
+
+  for (const w of plan.warnings) lines.push(`warning: ${w}`);
+
+  lines.push('', 'outputs:');
+  for (const path of plan.outputs) lines.push(`  ${path}`);
+
+  return lines.join('\n');
+}
+
+// estimates of file sizes in bytes, for the temp space in plans
+
+export function estimateVideoBytes(
+  profile,
+  videoSize,
+  frameRate,
+  durationSecs
+) {
+  let bitsPerSec = parseBitrate(profile.bitrate);
+  if (bitsPerSec == null) {
+    const bitsPerPixel = profile.intraOnly
+      ? kIntraFrameBitsPerPixel
+      : kInterFrameBitsPerPixel;
+    bitsPerSec = videoSize.w * videoSize.h * frameRate * bitsPerPixel;
+  }
+  return Math.ceil((bitsPerSec * durationSecs) / 8);
+}
+
+export function estimateAudioBytes(format, durationSecs) {
+  // without a bitrate, it's the uncompressed size. flac will be smaller
+  const bitsPerSec =
+    parseBitrate(format.bitrate) ??
+    format.sampleRate * (format.channels ?? 2) * (format.bitDepth ?? 16);
+  return Math.ceil((bitsPerSec * durationSecs) / 8);
+}
+
+export function estimateYuvSequenceBytes({ w, h }, numFrames) {
+  return Math.ceil(w * h * kYuvBytesPerPixel * numFrames);
+}
+
+// e.g. '5000k' -> 5000000. returns null if not set
+function parseBitrate(bitrate) {
+  if (bitrate == null) return null;
+  const m = /^(\d+(?:\.\d+)?)([kM]?)$/.exec(String(bitrate));
+  if (!m) return null;
+  const scale = { '': 1, k: 1000, M: 1000000 }[m[2]];
+  return parseFloat(m[1]) * scale;
+}
+
+function formatCommand({ tool, args }) {
+  return [tool, ...args].map(quoteShellArg).join(' ');
+}
+
+// so that the commands can be pasted into a shell
+function quoteShellArg(arg) {
+  if (/^[\w@%+=:,./-]+$/.test(arg)) return arg;
+  return `'${arg.replace(/'/g, `'\\''`)}'`;
+}
+
+function formatMegabytes(bytes) {
+  return `${Math.ceil(bytes / (1024 * 1024))} MB`;
+}
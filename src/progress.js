@@ -0,0 +1,187 @@
+// combines the progress of a job's steps into an overall percentage and ETA.
+// each step has a weight, its estimated share of the total work in any unit.
+// progress is written to stdout, either as a progress bar if stdout is a
+// terminal, or otherwise as JSON lines like:
+//   {"type":"progress","percent":42.5,"etaSecs":95,"step":"video", ...}
+
+export const kProgressFormats = ['bar', 'json', 'none'];
+
+// redraws of the bar and JSON lines are limited to these intervals
+const kBarIntervalMs = 250;
+const kJsonIntervalMs = 1000;
+
+const kBarWidth = 30;
+
+// ETA isn't shown until this share of the work is done,
+// since it's too unreliable before that
+const kMinFractionForEta = 0.01;
+
+// opts:
+//   format: one of kProgressFormats. if not set, it's 'bar' if the
+//     stream is a terminal and 'json' otherwise
+//   stream: defaults to stdout
+//   onUpdate: called with the same objects that are written as JSON lines,
+//     whatever the format. for library users, who will usually pick 'none'
+export function createProgressReporter(opts = {}) {
+  const stream = opts.stream ?? process.stdout;
+  const format = opts.format ?? getDefaultProgressFormat(stream);
+  if (!kProgressFormats.includes(format)) {
+    const expected = kProgressFormats.join(', ');
+    throw new Error(
+      `Unknown progress format "${format}", expected one of: ${expected}`
+    );
+  }
+  return new ProgressReporter(format, stream, opts.onUpdate);
+}
+
+// what the CLIs use when --progress isn't given.
+// the library functions default to 'none' instead
+export function getDefaultProgressFormat(stream = process.stdout) {
+  return stream.isTTY ? 'bar' : 'json';
+}
+
+export class ProgressReporter {
+  constructor(format, stream, onUpdate = null) {
+    this.format = format;
+    this.stream = stream;
+    this.onUpdate = onUpdate;
+    this.steps = new Map();
+    this.startTime = Date.now();
+    this.lastWriteTime = 0;
+    this.current = null;
+    this.barVisible = false;
+  }
+
+  addStep(id, label, weight) {
+    this.steps.set(id, { label, weight, fraction: 0 });
+  }
+
+  // replaces a step with a number of equal parts, e.g. when the number of
+  // segments to render is only known once earlier steps are done.
+  // parts is an array of { id, label }.
+  splitStep(id, parts) {
+    const step = this.steps.get(id);
+    if (!step) return;
+    this.steps.delete(id);
+    for (const part of parts) {
+      this.addStep(part.id, part.label, step.weight / parts.length);
+    }
+  }
+
+  // for steps that turn out to need no work, e.g. because the result
+  // was cached. they're dropped so they don't skew the ETA.
+  skipStep(id) {
+    this.steps.delete(id);
+  }
+
+  // fraction is in 0-1. stats can have ffmpeg's fps and speed.
+  update(id, fraction, stats = {}) {
+    const step = this.steps.get(id);
+    if (!step) return;
+    step.fraction = Math.max(step.fraction, Math.min(1, fraction));
+    this.current = { id, stats };
+    this.write(false);
+  }
+
+  complete(id) {
+    const step = this.steps.get(id);
+    if (!step) return;
+    step.fraction = 1;
+    this.current = { id, stats: {} };
+    this.write(true);
+    // the finished bar is left on its own line
+    this.end();
+  }
+
+  // returns an onProgress callback for runFfmpegCommandAsync().
+  // if the reports don't have a `fraction` key, it's computed from
+  // the output duration. without either, the step only shows as done
+  // when ffmpeg is.
+  getFfmpegListener(id, durationSecs) {
+    return (p) => {
+      let fraction = p.fraction;
+      if (fraction == null) {
+        const outTimeSecs = p.outTimeSecs ?? 0;
+        if (p.done) fraction = 1;
+        else if (durationSecs > 0) fraction = outTimeSecs / durationSecs;
+        else fraction = 0;
+      }
+      this.update(id, fraction, { fps: p.fps, speed: p.speed });
+    };
+  }
+
+  getFraction() {
+    let total = 0;
+    let done = 0;
+    for (const { weight, fraction } of this.steps.values()) {
+      total += weight;
+      done += weight * fraction;
+    }
+    return total > 0 ? done / total : 0;
+  }
+
+  // estimated seconds left, or null if too little is done to tell
+  getEtaSecs() {
+    const fraction = this.getFraction();
+    if (fraction < kMinFractionForEta) return null;
+    if (fraction >= 1) return 0;
+    const elapsedSecs = (Date.now() - this.startTime) / 1000;
+    return Math.round((elapsedSecs * (1 - fraction)) / fraction);
+  }
+
+  write(force) {
+    if (this.format === 'none' && !this.onUpdate) return;
+
+    const now = Date.now();
+    const interval = this.format === 'bar' ? kBarIntervalMs : kJsonIntervalMs;
+    if (!force && now - this.lastWriteTime < interval) return;
+    this.lastWriteTime = now;
+
+    const percent = Math.round(this.getFraction() * 1000) / 10;
+    const etaSecs = this.getEtaSecs();
+    const { id, stats } = this.current ?? { stats: {} };
+    const step = this.steps.get(id);
+
+    const status = {
+      type: 'progress',
+      percent,
+      etaSecs,
+      step: id ?? null,
+      stepPercent: step ? Math.round(step.fraction * 1000) / 10 : null,
+      fps: stats.fps ?? null,
+      speed: stats.speed ?? null,
+    };
+    if (this.onUpdate) this.onUpdate(status);
+
+    if (this.format === 'json') {
+      this.stream.write(JSON.stringify(status) + '\n');
+      return;
+    }
+    if (this.format !== 'bar') return;
+
+    const filled = Math.round((percent / 100) * kBarWidth);
+    let text = `[${'#'.repeat(filled)}${'-'.repeat(kBarWidth - filled)}]`;
+    text += ` ${percent.toFixed(1).padStart(5)}%`;
+    if (etaSecs != null) text += `  ETA ${formatDuration(etaSecs)}`;
+    if (step) text += `  ${step.label}`;
+    if (stats.speed != null) text += ` (${stats.speed}x)`;
+    this.stream.write(`\r\x1b[K${text}`);
+    this.barVisible = true;
+  }
+
+  // ends the bar's line, so that other output doesn't get mixed into it
+  end() {
+    if (this.barVisible) {
+      this.stream.write('\n');
+      this.barVisible = false;
+    }
+  }
+}
+
+// e.g. 75 -> "1:15", 3700 -> "1:01:40"
+function formatDuration(secs) {
+  const h = Math.floor(secs / 3600);
+  const m = Math.floor((secs % 3600) / 60);
+  const s = String(secs % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
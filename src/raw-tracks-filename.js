@@ -0,0 +1,24 @@
+import * as Path from 'node:path';
+
+// raw-tracks files are named like:
+//   {recordingStartTs}-{participant uuid}-{mediaType}-{trackStartTs}.webm
+// where the timestamps are in milliseconds since the epoch.
+const kRawTracksFilenameRe = /^(\d+)-(.{36})-(.*)-(\d+)\.(\w+)$/;
+
+// returns null if the filename doesn't match the raw-tracks naming pattern
+export function parseRawTracksFilename(path) {
+  const match = Path.basename(path).match(kRawTracksFilenameRe);
+  if (!match) return null;
+
+  const recordingStartTs = parseInt(match[1], 10);
+  const trackStartTs = parseInt(match[4], 10);
+
+  return {
+    recordingStartTs,
+    participantId: match[2],
+    mediaType: match[3],
+    trackStartTs,
+    startOffsetSecs: (trackStartTs - recordingStartTs) / 1000,
+    ext: match[5],
+  };
+}
@@ -0,0 +1,117 @@
+import * as fs from 'node:fs';
+import * as Path from 'node:path';
+
+import { RawTracksError } from './errors.js';
+import { parseRawTracksFilename } from './raw-tracks-filename.js';
+
+// builds a manifest from the raw-tracks filenames in a directory.
+// opts:
+//   dir: the directory with the recording's .webm files (required)
+//   write: if true, the manifest is also written into the directory
+//     as raw-tracks-manifest-<recordingStartTs>.json
+// returns { manifest, path }, path is null if the manifest wasn't written.
+// files that don't follow the raw-tracks naming pattern, or that belong to
+// another recording than the first file found, are skipped with a warning.
+export function generateManifest(opts = {}) {
+  const { dir } = opts;
+  if (!dir || !fs.existsSync(dir)) {
+    throw new RawTracksError(
+      `raw-tracks directory doesn't exist: ${dir}`,
+      'invalid-input'
+    );
+  }
+
+  const manifest = {
+    recordingStartTs: -1,
+    participants: [],
+  };
+
+  for (const file of fs.readdirSync(dir)) {
+    const ext = Path.extname(file);
+    if (ext !== '.webm') continue;
+
+    const parsed = parseRawTracksFilename(file);
+    if (!parsed) {
+      console.error(`Filename doesn't match expected pattern: ${file}`);
+      continue;
+    }
+
+    const {
+      recordingStartTs: recStartTs,
+      participantId: uuid,
+      mediaType,
+      trackStartTs,
+      startOffsetSecs,
+    } = parsed;
+
+    console.error(
+      `rec ${recStartTs} : uuid ${uuid}, mediaType ${mediaType}, ts ${startOffsetSecs}`
+    );
+
+    if (
+      manifest.recordingStartTs >= 0 &&
+      recStartTs !== manifest.recordingStartTs
+    ) {
+      console.error(
+        `Will ignore file belonging to other recording: got ${recStartTs}, expected ${manifest.recordingStartTs} based on other files in dir`
+      );
+      continue;
+    }
+
+    manifest.recordingStartTs = recStartTs;
+
+    let p = manifest.participants.find((p) => p.id === uuid);
+    if (!p) {
+      p = { id: uuid, tracks: [] };
+      manifest.participants.push(p);
+    }
+
+    p.tracks.push({
+      file,
+      mediaType,
+      startTs: trackStartTs,
+      startOffsetSecs,
+    });
+  }
+
+  let path = null;
+  if (opts.write) {
+    path = Path.resolve(
+      dir,
+      `raw-tracks-manifest-${manifest.recordingStartTs}.json`
+    );
+    fs.writeFileSync(path, JSON.stringify(manifest, null, 2) + '\n');
+  }
+  return { manifest, path };
+}
+
+// returns { participant, track } for the manifest entry of the given file,
+// or null if it's not in the manifest
+export function findManifestTrack(manifest, filePath) {
+  const file = Path.basename(filePath);
+  for (const participant of manifest?.participants ?? []) {
+    const track = participant.tracks?.find(
+      (t) => Path.basename(t.file) === file
+    );
+    if (track) return { participant, track };
+  }
+  return null;
+}
+
+// manual sync correction for a track, in milliseconds. positive values
+// delay the track. the participant's offset applies to all of their tracks,
+// and the track's own offset is added to it.
+export function getTrackSyncOffsetMs(participant, track) {
+  let offset = 0;
+  for (const [desc, v] of [
+    [`participant ${participant?.id}`, participant?.syncOffsetMs],
+    [`track ${track?.file}`, track?.syncOffsetMs],
+  ]) {
+    if (v == null) continue;
+    if (!Number.isFinite(v)) {
+      throw new Error(`Invalid syncOffsetMs for ${desc} in manifest: ${v}`);
+    }
+    offset += v;
+  }
+  return offset;
+}
@@ -0,0 +1,342 @@
+import * as Path from 'node:path';
+import * as fs from 'node:fs';
+
+import { analyzeTrackCached } from './analysis-cache.js';
+import { getTrackHealthVerdict } from './analyze-track.js';
+import { createWorkspace, runInWorkspace } from './workspace.js';
+
+// analyzes every track in a raw-tracks manifest and places the results
+// on the recording's timeline (i.e. relative to recordingStartTs).
+// opts are passed on to the analysis, except for tmpDir and keepTmp,
+// see createWorkspace().
+export async function analyzeRecording(manifest, rawTracksRoot, opts = {}) {
+  if (!Array.isArray(manifest?.participants)) {
+    throw new Error('Invalid raw-tracks-manifest: no participants field');
+  }
+
+  // ffprobe logs go in a workspace of this call's own
+  const { tmpDir, keepTmp, ...analysisOpts } = opts;
+  const workspace = createWorkspace('report', { tmpDir, keep: !!keepTmp });
+  try {
+    return await runInWorkspace(workspace, () =>
+      analyzeRecordingTracks(manifest, rawTracksRoot, analysisOpts)
+    );
+  } finally {
+    workspace.cleanup();
+  }
+}
+
+async function analyzeRecordingTracks(manifest, rawTracksRoot, opts) {
+  const report = {
+    recordingStartTs: manifest.recordingStartTs,
+    duration: 0,
+    participants: [],
+  };
+
+  for (const p of manifest.participants) {
+    const participant = {
+      id: p.id,
+      joinOffset: null,
+      tracks: [],
+    };
+
+    for (const track of p.tracks) {
+      const file = Path.resolve(rawTracksRoot, track.file);
+      const offset = track.startOffsetSecs ?? 0;
+      const desc = {
+        file: track.file,
+        mediaType: track.mediaType ?? 'unknown',
+        startOffset: offset,
+      };
+      participant.tracks.push(desc);
+
+      if (
+        participant.joinOffset == null ||
+        offset < participant.joinOffset
+      ) {
+        participant.joinOffset = offset;
+      }
+
+      if (!fs.existsSync(file)) {
+        desc.error = 'file not found';
+        continue;
+      }
+
+      let analysis;
+      try {
+        const basename = Path.basename(file, Path.extname(file));
+        analysis = await analyzeTrackCached(`report_${basename}`, file, opts);
+      } catch (e) {
+        console.error('** Analysis failed for %s: %s', file, e.message);
+        desc.error = e.message;
+        continue;
+      }
+
+      // analysis times are relative to the track's own start timestamp
+      const toRec = (t) => offset + t;
+
+      const startTime = analysis.startTime ?? 0;
+      desc.start = toRec(startTime);
+      desc.end = toRec(analysis.endTime);
+      desc.duration = desc.end - desc.start;
+      // the gap before the first frame is when the participant hadn't
+      // joined yet, not a dropout
+      const gaps = analysis.gaps.filter((g) => g.end > startTime);
+      desc.gaps = gaps.map(({ start, end }) => ({
+        start: toRec(start),
+        end: toRec(end),
+      }));
+      if (analysis.isVideo) {
+        desc.resolutionSegments = (analysis.resolutionSegments ?? []).map(
+          (seg) => ({ ...seg, start: toRec(seg.start), end: toRec(seg.end) })
+        );
+        desc.resolutionLayers = analysis.resolutionLayers ?? [];
+      }
+      desc.health = getTrackHealthVerdict({ ...analysis, gaps });
+
+      report.duration = Math.max(report.duration, desc.end);
+    }
+
+    report.participants.push(participant);
+  }
+
+  return report;
+}
+
+// --- formatters ---
+
+const kTimelineWidth = 60;
+
+export function formatRecordingReportMarkdown(report) {
+  const lines = [];
+  const { recordingStartTs, duration } = report;
+
+  lines.push('# Raw-tracks recording report', '');
+  lines.push(`- Recording start: ${formatWallClock(recordingStartTs, 0)}`);
+  lines.push(`- Duration: ${formatTime(duration)}`);
+  lines.push(`- Participants: ${report.participants.length}`, '');
+
+  for (const p of report.participants) {
+    lines.push(`## Participant ${p.id}`, '');
+    lines.push(
+      `Joined at ${formatTime(p.joinOffset)} (${formatWallClock(
+        recordingStartTs,
+        p.joinOffset
+      )})`,
+      ''
+    );
+
+    // text timeline: '#' = track has data, '.' = gap, ' ' = not recording
+    const secsPerChar = Math.max(duration, 1) / kTimelineWidth;
+    const labelWidth = Math.max(...p.tracks.map((t) => t.mediaType.length));
+    lines.push('```');
+    for (const t of p.tracks) {
+      lines.push(
+        `${t.mediaType.padEnd(labelWidth)} |${formatTextTimeline(
+          t,
+          secsPerChar
+        )}|`
+      );
+    }
+    lines.push(
+      `${''.padEnd(labelWidth)}  0${formatTime(duration).padStart(
+        kTimelineWidth - 1
+      )}`
+    );
+    lines.push('```', '');
+
+    lines.push(
+      '| Track | Starts at | Duration | Gaps | Resolution layers | Health |'
+    );
+    lines.push('| --- | --- | --- | --- | --- | --- |');
+    for (const t of p.tracks) {
+      if (t.error) {
+        lines.push(
+          `| ${t.mediaType} | ${formatTime(t.startOffset)} | | | | ${t.error} |`
+        );
+        continue;
+      }
+      lines.push(
+        `| ${t.mediaType} | ${formatTime(t.start)} | ${formatTime(
+          t.duration
+        )} | ${formatGapSummary(t.gaps)} | ${formatLayers(
+          t.resolutionLayers
+        )} | ${formatHealth(t.health)} |`
+      );
+    }
+    lines.push('');
+
+    for (const t of p.tracks) {
+      if (!t.gaps?.length) continue;
+      lines.push(`Gaps in ${t.mediaType} (\`${t.file}\`):`, '');
+      for (const gap of t.gaps) {
+        lines.push(
+          `- ${formatTime(gap.start)} - ${formatTime(gap.end)} (${(
+            gap.end - gap.start
+          ).toFixed(2)} s)`
+        );
+      }
+      lines.push('');
+    }
+  }
+
+  return lines.join('\n');
+}
+
+export function formatRecordingReportHtml(report) {
+  const { recordingStartTs, duration } = report;
+  const span = Math.max(duration, 1);
+  const pct = (t) => `${((t / span) * 100).toFixed(3)}%`;
+
+  const parts = [];
+  parts.push(`<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Raw-tracks recording report ${escapeHtml(recordingStartTs)}</title>
+<style>
+  body { font-family: sans-serif; margin: 2em; }
+  table { border-collapse: collapse; margin: 1em 0; }
+  td, th { border: 1px solid #ccc; padding: 4px 8px; text-align: left; }
+  .timeline { position: relative; height: 18px; background: #eee; width: 100%; }
+  .timeline span { position: absolute; top: 0; bottom: 0; }
+  .timeline .data { background: #4a8; }
+  .timeline .gap { background: #d44; }
+  .timeline .layer { background: rgba(0, 0, 0, 0.15); border-left: 1px solid #fff; }
+  .health-good { color: #282; }
+  .health-degraded { color: #a70; }
+  .health-poor { color: #c22; }
+</style>
+</head>
+<body>
+<h1>Raw-tracks recording report</h1>
+<ul>
+<li>Recording start: ${escapeHtml(formatWallClock(recordingStartTs, 0))}</li>
+<li>Duration: ${formatTime(duration)}</li>
+<li>Participants: ${report.participants.length}</li>
+</ul>`);
+
+  for (const p of report.participants) {
+    parts.push(`<h2>Participant ${escapeHtml(p.id)}</h2>`);
+    parts.push(
+      `<p>Joined at ${formatTime(p.joinOffset)} (${escapeHtml(
+        formatWallClock(recordingStartTs, p.joinOffset)
+      )})</p>`
+    );
+    parts.push(
+      '<table><tr><th>Track</th><th>Timeline</th><th>Starts at</th><th>Duration</th><th>Gaps</th><th>Resolution layers</th><th>Health</th></tr>'
+    );
+
+    for (const t of p.tracks) {
+      if (t.error) {
+        parts.push(
+          `<tr><td>${escapeHtml(t.mediaType)}</td><td></td><td>${formatTime(
+            t.startOffset
+          )}</td><td></td><td></td><td></td><td>${escapeHtml(
+            t.error
+          )}</td></tr>`
+        );
+        continue;
+      }
+
+      const spans = [];
+      spans.push(
+        `<span class="data" style="left: ${pct(t.start)}; width: ${pct(
+          t.duration
+        )}"></span>`
+      );
+      for (const seg of t.resolutionSegments ?? []) {
+        spans.push(
+          `<span class="layer" title="${seg.w}x${seg.h}" style="left: ${pct(
+            seg.start
+          )}; width: ${pct(seg.end - seg.start)}"></span>`
+        );
+      }
+      for (const gap of t.gaps) {
+        spans.push(
+          `<span class="gap" title="gap ${formatTime(gap.start)} - ${formatTime(
+            gap.end
+          )}" style="left: ${pct(gap.start)}; width: ${pct(
+            gap.end - gap.start
+          )}"></span>`
+        );
+      }
+
+      parts.push(
+        `<tr><td>${escapeHtml(t.mediaType)}</td><td style="width: 40em"><div class="timeline">${spans.join(
+          ''
+        )}</div></td><td>${formatTime(t.start)}</td><td>${formatTime(
+          t.duration
+        )}</td><td>${escapeHtml(formatGapSummary(t.gaps))}</td><td>${escapeHtml(
+          formatLayers(t.resolutionLayers)
+        )}</td><td class="health-${t.health.verdict}">${escapeHtml(
+          formatHealth(t.health)
+        )}</td></tr>`
+      );
+    }
+    parts.push('</table>');
+  }
+
+  parts.push('</body>\n</html>\n');
+  return parts.join('\n');
+}
+
+// --- utility functions ---
+
+function formatTextTimeline(track, secsPerChar) {
+  let str = '';
+  for (let i = 0; i < kTimelineWidth; i++) {
+    const t = (i + 0.5) * secsPerChar;
+    if (track.error || t < track.start || t > track.end) {
+      str += ' ';
+    } else if (track.gaps.some((g) => t >= g.start && t <= g.end)) {
+      str += '.';
+    } else {
+      str += '#';
+    }
+  }
+  return str;
+}
+
+function formatTime(secs) {
+  if (!Number.isFinite(secs)) return '-';
+  const sign = secs < 0 ? '-' : '';
+  secs = Math.abs(secs);
+  const h = Math.floor(secs / 3600);
+  const m = Math.floor((secs % 3600) / 60);
+  const s = (secs % 60).toFixed(1).padStart(4, '0');
+  const mm = String(m).padStart(2, '0');
+  return h > 0 ? `${sign}${h}:${mm}:${s}` : `${sign}${mm}:${s}`;
+}
+
+function formatWallClock(recordingStartTs, offsetSecs) {
+  if (!Number.isFinite(recordingStartTs) || recordingStartTs < 0) return '?';
+  return new Date(recordingStartTs + offsetSecs * 1000).toISOString();
+}
+
+function formatGapSummary(gaps) {
+  if (!gaps?.length) return 'none';
+  const total = gaps.reduce((acc, g) => acc + (g.end - g.start), 0);
+  return `${gaps.length} (${total.toFixed(1)} s)`;
+}
+
+function formatLayers(layers) {
+  if (!layers?.length) return '';
+  return layers
+    .map((l) => `${l.w}x${l.h} ${(l.share * 100).toFixed(0)}%`)
+    .join(', ');
+}
+
+function formatHealth(health) {
+  if (!health) return '';
+  const { verdict, reasons } = health;
+  return reasons.length > 0 ? `${verdict}: ${reasons.join(', ')}` : verdict;
+}
+
+function escapeHtml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
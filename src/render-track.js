@@ -1,58 +1,46 @@
-import * as Path from 'node:path';
-import * as fs from 'node:fs';
-import * as childProcess from 'node:child_process';
-
 import { runFfmpegCommandAsync } from './ffexec.js';
-
-const g_tempFilePrefix = 'rawtracks_';
-let g_audioEncoderArgs;
-
-function getAudioEncoderArgs() {
-  if (g_audioEncoderArgs) return g_audioEncoderArgs;
-
-  let hasLibfdk = false;
-  try {
-    const probe = childProcess.spawnSync(
-      'ffmpeg',
-      ['-hide_banner', '-encoders'],
-      { encoding: 'utf-8' }
-    );
-    if (probe.status === 0 && probe.stdout.includes('libfdk_aac')) {
-      hasLibfdk = true;
-    }
-  } catch (err) {
-    console.warn('Unable to query ffmpeg encoders: %s', err?.message || err);
-  }
-
-  if (hasLibfdk) {
-    g_audioEncoderArgs = [
-      '-c:a',
-      'libfdk_aac',
-      '-b:a',
-      '320k',
-      '-profile:a',
-      'aac_low',
-      '-vbr',
-      '0',
-      '-ar',
-      '48000',
-    ];
-  } else {
-    console.warn(
-      'libfdk_aac not available in ffmpeg build; falling back to builtin aac encoder.'
-    );
-    g_audioEncoderArgs = ['-c:a', 'aac', '-b:a', '320k', '-ar', '48000'];
-  }
-
-  return g_audioEncoderArgs;
-}
-
+import {
+  describeAudioCleanupChain,
+  getAudioCleanupFilters,
+  isAudioCleanupChainEmpty,
+} from './audio-cleanup.js';
+import {
+  describeAudioOutputFormat,
+  getAudioEncoder,
+  getAudioEncoderArgs,
+  resolveAudioOutputFormat,
+} from './audio-output-formats.js';
+import { getInputDecoderArgs } from './ffmpeg-caps.js';
+import {
+  describeVideoEncoderProfile,
+  getVideoEncoderArgs,
+  resolveVideoEncoderProfile,
+} from './video-encoder-profiles.js';
+
+// outputFormat is either a codec name or an object from
+// resolveAudioOutputFormat().
+// opts:
+//   driftCorrection: if true, the audio is stretched or squeezed slightly
+//     so that it stays locked to the PTS timeline over long recordings
+//   cleanup: object from resolveAudioCleanupChain(), no processing if not set
+//   trim: { from, to } in seconds on the output timeline, both optional.
+//     only this range is decoded and written, and it starts at zero
+//     in the output.
+//   timelineOffset: seconds to delay the track by in the output, e.g. its
+//     startOffsetSecs to align it with the recording start. this time is
+//     filled with silence. a negative offset cuts off the start instead.
+//   signal, timeoutMs, plan: passed on to runFfmpegCommandAsync()
+//   onProgress: called with ffmpeg's progress reports, which also have
+//     a `fraction` key for the share of the output written so far
+// returns { durationSecs, gaps } for the output, gaps are filled with
+// silence.
 export async function normalizeAudioTrack(
   ctxName,
   analysis,
   inputPath,
   outputPath,
-  codec = 'aac'
+  outputFormat = 'aac',
+  opts = {}
 ) {
   if (analysis?.isVideo)
     throw new Error('normalizeAudioTrack expects audio input');
@@ -60,71 +48,126 @@ export async function normalizeAudioTrack(
   if (analysis.startTime == null)
     throw new Error('normalizeAudioTrack expects startTime key');
 
-  if (codec === 'wav') {
-    console.log('Normalizing audio track to WAV format');
-    await normalizeAudioTrackToWav(ctxName, analysis, inputPath, outputPath);
-    return;
+  const format =
+    typeof outputFormat === 'string'
+      ? resolveAudioOutputFormat({ codec: outputFormat })
+      : outputFormat;
+
+  const encoder = getAudioEncoder(format);
+  if (!encoder) {
+    throw new Error(`No encoder available for audio codec "${format.codec}"`);
   }
 
-  if (codec !== 'aac') {
-    throw new Error(`Unsupported audio codec "${codec}"`);
+  if (analysis.clockDrift) {
+    const { drift, timelineDuration } = analysis.clockDrift;
+    console.error(
+      'Audio clock drift: %s ms over %s s%s',
+      (drift * 1000).toFixed(0),
+      timelineDuration.toFixed(1),
+      opts.driftCorrection ? ' (will correct)' : ''
+    );
   }
-  console.log('Normalizing audio track to AAC format');
-  await normalizeAudioTrackToAAC(ctxName, analysis, inputPath, outputPath);
-}
 
-async function normalizeAudioTrackToAAC(
-  ctxName,
-  analysis,
-  inputPath,
-  outputPath
-) {
-  // the audio version of this operation just pads the start with silence.
-  // we don't need to do gap rendering like with video.
+  if (!isAudioCleanupChainEmpty(opts.cleanup)) {
+    console.error(
+      'Audio cleanup chain: %s',
+      describeAudioCleanupChain(opts.cleanup)
+    );
+  }
+
+  console.error(
+    'Normalizing audio track to %s (encoder %s)',
+    describeAudioOutputFormat(format),
+    encoder
+  );
+
+  const timeline = getOutputTimeline(
+    analysis,
+    opts.trim,
+    opts.timelineOffset
+  );
 
   const args = [
+    ...getInputDecoderArgs(analysis),
+    ...timeline.inputArgs,
     '-i',
     inputPath,
     '-af',
-    // ffmpeg quirk: aresample needs to come before adelay in the filter chain
-    `aresample=async=1,adelay=${Math.floor(
-      analysis.startTime * 1000
-    )}:all=true`,
-    ...getAudioEncoderArgs(),
-    outputPath,
+    getAudioNormalizeFilter(analysis, timeline, opts),
+    ...getAudioEncoderArgs(format),
   ];
-  await runFfmpegCommandAsync(`audio_${ctxName}`, args);
+  // without a trim, the audio just runs until the track's last sample
+  if (opts.trim?.to != null) args.push('-t', timeline.duration);
+  args.push(outputPath);
+  await runFfmpegCommandAsync(`audio_${ctxName}_${format.codec}`, args, {
+    signal: opts.signal,
+    timeoutMs: opts.timeoutMs,
+    plan: opts.plan,
+    onProgress: getProgressListener(opts.onProgress, timeline.duration),
+  });
+  return { durationSecs: timeline.duration, gaps: timeline.gaps };
 }
 
-async function normalizeAudioTrackToWav(
-  ctxName,
-  analysis,
-  inputPath,
-  outputPath
-) {
-  const args = [
-    '-i',
-    inputPath,
-    '-af',
-    `aresample=async=1,adelay=${Math.floor(
-      analysis.startTime * 1000
-    )}:all=true`,
-    '-ar',
-    '48000',
-    '-ac',
-    '1',
-    '-c:a',
-    'pcm_s16le',
-    outputPath,
+// same idea as the video filtergraph: restore the track's start offset,
+// then let aresample pad the start and fill pauses with silence
+// wherever the timestamps jump.
+function getAudioNormalizeFilter(analysis, timeline, opts = {}) {
+  const { gaps } = timeline;
+
+  // async is the max number of samples per second that aresample may
+  // stretch or squeeze by. 1 effectively only does hard compensation
+  // (inserting silence), 1000 allows ~2% to follow a drifting clock.
+  const resampleOpts = opts.driftCorrection
+    ? ['async=1000', 'min_comp=0.001', 'first_pts=0']
+    : ['async=1', 'first_pts=0'];
+
+  const filters = [
+    `asetpts=${timeline.ptsExpr}`,
+    `aresample=${resampleOpts.join(':')}`,
+    ...getAudioCleanupFilters(opts.cleanup, analysis),
   ];
-  await runFfmpegCommandAsync(`audio_${ctxName}_wav`, args);
+
+  // make sure the detected gaps are exactly silent,
+  // even if the resampler's compensation smeared audio into them
+  const gapExpr = getTimeRangesExpr(gaps);
+  if (gapExpr) {
+    filters.push(`volume=volume=0:enable='${gapExpr}'`);
+  }
+  return filters.join(',');
 }
 
+// opts:
+//   encoderProfile: object from resolveVideoEncoderProfile(), default profile if not set
+//   gapFill: how to render pauses in the video, one of:
+//     { mode: 'black' } (default)
+//     { mode: 'freeze' } - repeat the last frame before the pause
+//     { mode: 'image', imagePath } - show a placeholder image
+//     { mode: 'slate', slateText } - black with the given text and "video paused"
+//   fit: how frames that don't match the output's aspect ratio are scaled:
+//     'letterbox' (default) - fit within the output, padded with black bars
+//     'blur' - fit within the output, over a blurred and zoomed copy
+//     'crop' - fill the output, cropping the edges
+//     'stretch' - fill the output, ignoring the aspect ratio
+//   outputSize: 'max' (default) uses the max width and height in the track,
+//     'dominant' uses the largest size in the orientation used for longest
+//   trim: { from, to } in seconds on the output timeline, both optional
+//   timelineOffset: seconds to delay the track by in the output. this time
+//     is filled in the same way as gaps. a negative offset cuts off the start.
+//   frameRate: output frame rate. either a number, 'auto' to use the track's
+//     measured capture rate, or not set to use the rate declared in the track
+//   fpsConversion: how frames are converted to the output rate:
+//     'dup' (default) - duplicate or drop frames
+//     'blend' - blend neighboring frames
+//     'interpolate' - motion-interpolate new frames (slow)
+//   signal, timeoutMs, plan, onProgress: same as for normalizeAudioTrack()
+// returns { durationSecs, gaps, segments, videoSize, frameRate } for
+// the output.
 export async function normalizeVideoTrackToM4V(
   ctxName,
   analysis,
   inputPath,
-  outputPath
+  outputPath,
+  opts = {}
 ) {
   if (!analysis?.isVideo)
     throw new Error('normalizeVideoTrack expects video input');
@@ -140,8 +183,294 @@ export async function normalizeVideoTrackToM4V(
   if (!analysis.videoSize.w || !analysis.videoSize.h)
     throw new Error('normalizeVideoTrack expects analysis.videoSize to be set');
 
-  const { videoSize, frameRate = 30, endTime, gaps } = analysis;
+  const frameRate = getTargetFrameRate(analysis, opts.frameRate);
+  const fpsConversion = opts.fpsConversion ?? 'dup';
+  console.error(
+    'video frame rate: %s (declared %s, measured %s, %s)',
+    frameRate,
+    analysis.frameRate,
+    analysis.measuredFrameRate?.toFixed(2) ?? 'unknown',
+    fpsConversion
+  );
+
+  const timeline = getOutputTimeline(
+    analysis,
+    opts.trim,
+    opts.timelineOffset
+  );
+  const { gaps, duration } = timeline;
+  if (opts.trim) {
+    console.error(
+      'video trimmed to %s - %s s',
+      timeline.from,
+      timeline.from + duration
+    );
+  }
+
+  const segments = getVideoSegments(gaps, duration);
+  console.error('video segments to be written: ', segments);
+
+  const encoderProfile =
+    opts.encoderProfile ?? resolveVideoEncoderProfile({ profile: 'default' });
+  console.error(
+    'video encoder: %s',
+    describeVideoEncoderProfile(encoderProfile)
+  );
+
+  const videoSize = getOutputVideoSize(analysis, opts.outputSize ?? 'max');
+  const fit = opts.fit ?? 'letterbox';
+  if (analysis.orientation?.changes > 0) {
+    console.error(
+      'video orientation changes %d times, dominant is %s',
+      analysis.orientation.changes,
+      analysis.orientation.dominant
+    );
+  }
+  console.error('video output size: %dx%d (%s)', videoSize.w, videoSize.h, fit);
+
+  const gapFill = opts.gapFill ?? { mode: 'black' };
+  const pixelFormat = encoderProfile.pixelFormat ?? 'yuv420p';
+
+  const inputArgs = [
+    ...getInputDecoderArgs(analysis),
+    ...timeline.inputArgs,
+    '-i',
+    inputPath,
+  ];
+
+  // everything happens in a single pass, using timestamp-based filters:
+  //  - ffmpeg shifts the input to start at zero, so first restore the track's
+  //    original start offset (this is what aligns it with the other tracks).
+  //    when trimming, the offset is relative to the start of the range.
+  //  - scale all resolution layers to the output size, fitting any
+  //    differing aspect ratios according to opts.fit.
+  //  - convert to the output frame rate, then the fps filter makes it
+  //    constant. it pads the start and fills any pauses by repeating frames.
+  //  - paint over the pauses according to the gap fill mode. the expressions
+  //    are evaluated per output frame, so this is frame-accurate rather than
+  //    cutting on keyframes.
+  //  - pad the end by repeating the last frame, and let -t cut at the end.
+  const filters = [
+    `setpts=${timeline.ptsExpr}`,
+    getFitFilter(videoSize, fit),
+    ...getFrameRateConversionFilters(frameRate, fpsConversion),
+    `format=${pixelFormat}`,
+    `fps=fps=${frameRate}:start_time=0`,
+  ];
+  const graph = [];
+
+  const gapExpr = getTimeRangesExpr(gaps);
+
+  switch (gapFill.mode) {
+    case 'black':
+      if (gapExpr) filters.push(getBlackFillFilter(gapExpr));
+      break;
+
+    case 'freeze': {
+      // the fps filter already repeats the last frame during pauses.
+      // there's no previous frame before the track (or the trimmed range)
+      // starts, so that stays black
+      const leadInExpr = getTimeRangesExpr(gaps.filter((g) => g.start <= 0));
+      if (leadInExpr) filters.push(getBlackFillFilter(leadInExpr));
+      break;
+    }
+
+    case 'slate': {
+      if (!gapExpr) break;
+      const lines = [gapFill.slateText, 'video paused'].filter(Boolean);
+      const yOffsets = lines.length > 1 ? ['-h/20', '+h/20'] : [''];
+      filters.push(getBlackFillFilter(gapExpr));
+      for (const [idx, line] of lines.entries()) {
+        filters.push(
+          [
+            `drawtext=text=${escapeDrawtextText(line)}`,
+            'expansion=none',
+            'fontcolor=white',
+            'fontsize=h/16',
+            'x=(w-text_w)/2',
+            `y=(h-text_h)/2${yOffsets[idx]}`,
+            `enable='${gapExpr}'`,
+          ].join(':')
+        );
+      }
+      break;
+    }
+
+    case 'image':
+      if (!gapFill.imagePath) {
+        throw new Error('Gap fill mode "image" requires an image path');
+      }
+      if (!gapExpr) break;
+
+      // the placeholder is looped as a second input and overlaid during gaps.
+      // it's fitted within the output size without distortion
+      inputArgs.push(
+        '-loop',
+        '1',
+        '-framerate',
+        frameRate,
+        '-i',
+        gapFill.imagePath
+      );
+      graph.push(
+        `[1:v]scale=${videoSize.w}:${videoSize.h}:force_original_aspect_ratio=decrease,` +
+          `pad=${videoSize.w}:${videoSize.h}:(ow-iw)/2:(oh-ih)/2:color=black,` +
+          `setsar=1,format=${pixelFormat}[placeholder]`
+      );
+      graph.push(`[0:v]${filters.join(',')}[main]`);
+      filters.length = 0;
+      filters.push(
+        `[main][placeholder]overlay=enable='${gapExpr}':shortest=1:format=auto`
+      );
+      break;
+
+    default:
+      throw new Error(`Unknown gap fill mode "${gapFill.mode}"`);
+  }
+  filters.push('tpad=stop_mode=clone:stop_duration=1');
+
+  // the last chain reads either the source or the overlay's inputs
+  const lastChain = filters.join(',');
+  graph.push(
+    lastChain.startsWith('[') ? `${lastChain}[vout]` : `[0:v]${lastChain}[vout]`
+  );
+
+  const args = [
+    ...inputArgs,
+    '-filter_complex',
+    graph.join(';'),
+    '-map',
+    '[vout]',
+    '-an',
+    '-t',
+    duration,
+    '-r',
+    frameRate,
+    ...getVideoEncoderArgs(encoderProfile, frameRate),
+    outputPath,
+  ];
+  await runFfmpegCommandAsync(`normalize_${ctxName}`, args, {
+    signal: opts.signal,
+    timeoutMs: opts.timeoutMs,
+    plan: opts.plan,
+    onProgress: getProgressListener(opts.onProgress, duration),
+  });
+  return { durationSecs: duration, gaps, segments, videoSize, frameRate };
+}
+
+// adds the share of the output that's done to ffmpeg's progress reports
+function getProgressListener(onProgress, duration) {
+  if (!onProgress) return undefined;
+  return (p) => {
+    const fraction = p.done ? 1 : (p.outTimeSecs ?? 0) / duration;
+    onProgress({ ...p, fraction: Math.min(1, fraction) });
+  };
+}
+
+// --- utility functions ---
+
+// returns the part of the track's timeline to write:
+//   { from, duration, gaps, inputArgs, ptsExpr }
+// gaps are relative to the output. inputArgs seek the input close to the
+// start of the range, so the rest of the track isn't decoded at all, and
+// ptsExpr puts the input's frames at their place in the output.
+// a non-zero timelineOffset delays the whole track on the output timeline.
+function getOutputTimeline(analysis, trim, timelineOffset = 0) {
+  const { startTime, endTime, gaps } = getShiftedTrack(
+    analysis,
+    timelineOffset
+  );
+
+  if (!trim || (trim.from == null && trim.to == null)) {
+    return {
+      from: 0,
+      duration: roundSecs(endTime),
+      gaps,
+      inputArgs: [],
+      ptsExpr: `PTS-STARTPTS${formatSecsOffset(startTime)}`,
+    };
+  }
+
+  const from = trim.from ?? 0;
+  const to = trim.to ?? endTime;
+  if (from < 0 || to <= from) {
+    throw new Error(`Invalid trim range ${from} - ${to}`);
+  }
+  if (from >= endTime) {
+    throw new Error(
+      `Trim start ${from} is past the end of the track (${endTime})`
+    );
+  }
+
+  // -ss is relative to the input's start time. frames before the seek
+  // point are dropped, and the rest come out shifted by startTime + seek.
+  const seek = Math.max(0, from - startTime);
+  const inputArgs = [];
+  if (seek > 0) inputArgs.push('-ss', roundSecs(seek));
+  // stop reading a bit after the end; the output's -t does the exact cut
+  inputArgs.push('-t', roundSecs(Math.max(0, to - startTime - seek) + 1));
+
+  const ptsOffset = roundSecs(startTime + seek - from);
+
+  return {
+    from,
+    duration: roundSecs(to - from),
+    gaps: gaps
+      .map((g) => ({
+        start: roundSecs(Math.max(g.start, from) - from),
+        end: roundSecs(Math.min(g.end, to) - from),
+      }))
+      .filter((g) => g.end > g.start),
+    inputArgs,
+    ptsExpr: `PTS${formatSecsOffset(ptsOffset)}`,
+  };
+}
+
+// moves the track on the output timeline, e.g. to place it relative
+// to the recording start rather than its own start, or to correct sync.
+// with a positive offset, the time before the track is treated as a gap.
+// with a negative offset, the start of the track is cut off.
+function getShiftedTrack(analysis, offset) {
+  const { startTime, endTime, gaps = [] } = analysis;
+  if (!offset) return { startTime, endTime, gaps };
+  if (endTime + offset <= 0) {
+    throw new Error(`Timeline offset ${offset} moves the whole track out`);
+  }
+
+  const shifted = gaps
+    .map((g) => ({
+      start: roundSecs(Math.max(0, g.start + offset)),
+      end: roundSecs(g.end + offset),
+    }))
+    .filter((g) => g.end > 0);
+  if (offset > 0) {
+    // a gap at the start of the track merges with the lead-in
+    if (shifted.length > 0 && shifted[0].start <= offset) {
+      shifted[0].start = 0;
+    } else {
+      shifted.unshift({ start: 0, end: roundSecs(offset) });
+    }
+  }
+
+  return {
+    startTime: roundSecs(startTime + offset),
+    endTime: roundSecs(endTime + offset),
+    gaps: shifted,
+  };
+}
+
+function roundSecs(t) {
+  return Math.round(t * 1000) / 1000;
+}
+
+// a term to add to a setpts expression
+function formatSecsOffset(t) {
+  if (t === 0) return '';
+  return t > 0 ? `+${t}/TB` : `-${-t}/TB`;
+}
 
+// splits the track's timeline into source and gap segments
+function getVideoSegments(gaps, endTime) {
   const segments = [];
   let t = 0;
   for (const gap of gaps) {
@@ -156,97 +485,119 @@ export async function normalizeVideoTrackToM4V(
   if (t < endTime) {
     segments.push({ start: t, end: endTime, type: 'src' });
   }
+  return segments;
+}
 
-  console.log('video segments to be written: ', segments);
-
-  // TODO: allow caller to set this
-  const bitRate = '5000k';
+// rates that 'auto' snaps the measured rate to
+const kCommonFrameRates = [10, 12, 15, 20, 24, 25, 30, 50, 60];
 
-  const baseArgs = ['-r', frameRate, '-b:v', bitRate, '-c:v', 'libx264'];
-  let args;
+function getTargetFrameRate(analysis, frameRate) {
+  if (frameRate == null) return analysis.frameRate ?? 30;
+  if (frameRate !== 'auto') {
+    if (!Number.isFinite(frameRate) || frameRate <= 0) {
+      throw new Error(`Invalid video frame rate ${frameRate}`);
+    }
+    return frameRate;
+  }
 
-  const tmpDir = '/tmp';
-  const tmpFiles = [];
+  // older analyses don't have the measured rate
+  const measured = analysis.measuredFrameRate;
+  if (!measured) return analysis.frameRate ?? 30;
 
-  // first convert the entire input.
-  // ffmpeg can't seek reliably within the original,
-  // so we need this intermediate to be able to extract segments.
-  const tmpSource = Path.resolve(
-    tmpDir,
-    `${g_tempFilePrefix}${ctxName}_full.m4v`
+  // the measured rate is a bit under the capture rate because of jitter
+  // and dropped frames, so pick the closest common rate
+  const distance = (fps) => Math.abs(Math.log(fps / measured));
+  return kCommonFrameRates.reduce((best, fps) =>
+    distance(fps) < distance(best) ? fps : best
   );
-  tmpFiles.push(tmpSource);
-
-  // the file rendered in tmpSource will start at the first sample's time in the raw-tracks file,
-  // so we must apply this offset to when extracting segments from it.
-  const sourceOffset = analysis.startTime;
-
-  args = [
-    '-i',
-    inputPath,
-    '-vf',
-    `scale=${videoSize.w}x${videoSize.h}:out_color_matrix=bt709:out_range=tv`,
-    ...baseArgs,
-    tmpSource,
-  ];
-  await runFfmpegCommandAsync(`convert_${ctxName}`, args);
+}
 
-  let ffmpegConcatFile = '';
+// the fps filter after these takes care of padding and pauses.
+// dup is just that filter on its own.
+function getFrameRateConversionFilters(frameRate, fpsConversion) {
+  switch (fpsConversion) {
+    case 'dup':
+      return [];
 
-  for (let i = 0; i < segments.length; i++) {
-    const { start, end, type } = segments[i];
+    case 'blend':
+      return [`framerate=fps=${frameRate}`];
 
-    // round duration to milliseconds
-    const duration = Math.round((end - start) * 1000) / 1000;
+    case 'interpolate':
+      return [
+        `minterpolate=fps=${frameRate}:mi_mode=mci:mc_mode=aobmc:me_mode=bidir`,
+      ];
 
-    const tmpFileName = `${g_tempFilePrefix}${ctxName}_seg${i}.m4v`;
-    ffmpegConcatFile += `file '${tmpFileName}'\n`;
+    default:
+      throw new Error(`Unknown frame rate conversion "${fpsConversion}"`);
+  }
+}
 
-    const dst = Path.resolve(tmpDir, tmpFileName);
-    tmpFiles.push(dst);
+function getOutputVideoSize(analysis, sizeMode) {
+  switch (sizeMode) {
+    case 'max':
+      return analysis.videoSize;
 
-    if (type === 'gap') {
-      const args = [
-        '-f',
-        'lavfi',
-        '-i',
-        `color=c=black:s=${videoSize.w}x${videoSize.h},format=yuv420p,scale=out_color_matrix=bt709:out_range=tv`,
-        '-t',
-        duration,
-        ...baseArgs,
-        dst,
-      ];
-      await runFfmpegCommandAsync(`rendergap_${i}_${ctxName}`, args);
-    } else {
-      const args = [
-        '-ss',
-        start - sourceOffset,
-        '-t',
-        duration,
-        '-i',
-        tmpSource,
-        '-c',
-        'copy',
-        dst,
-      ];
-      await runFfmpegCommandAsync(`extractseg_${i}_${ctxName}`, args);
+    case 'dominant': {
+      // older analyses don't have orientation info
+      const { orientation } = analysis;
+      return orientation?.sizes[orientation.dominant] ?? analysis.videoSize;
     }
+
+    default:
+      throw new Error(`Unknown video output size mode "${sizeMode}"`);
   }
+}
 
-  const concatTempPath = Path.resolve(
-    tmpDir,
-    `${g_tempFilePrefix}${ctxName}_concat.txt`
-  );
-  fs.writeFileSync(concatTempPath, ffmpegConcatFile, { encoding: 'utf-8' });
+// scales frames of any size to the output size, converting to BT.709.
+// the filters reconfigure themselves when the input resolution changes,
+// so this handles all resolution layers and orientations in the track.
+function getFitFilter({ w, h }, fit) {
+  const colorOpts = 'out_color_matrix=bt709:out_range=tv';
+  const fitWithin = `scale=${w}:${h}:force_original_aspect_ratio=decrease:force_divisible_by=2:${colorOpts}`;
+  const fill = `scale=${w}:${h}:force_original_aspect_ratio=increase:${colorOpts},crop=${w}:${h}`;
+
+  switch (fit) {
+    case 'stretch':
+      return `scale=${w}x${h}:${colorOpts},setsar=1`;
+
+    case 'letterbox':
+      return `${fitWithin},pad=${w}:${h}:(ow-iw)/2:(oh-ih)/2:color=black,setsar=1`;
+
+    case 'crop':
+      return `${fill},setsar=1`;
+
+    case 'blur': {
+      // the blurred background is a zoomed-in copy of the same frame
+      const radius = Math.max(1, Math.round(Math.min(w, h) / 40));
+      return [
+        'split[fitfg][fitbg]',
+        `[fitbg]${fill},boxblur=${radius}:2[fitblurred]`,
+        `[fitfg]${fitWithin}[fitscaled]`,
+        '[fitblurred][fitscaled]overlay=(W-w)/2:(H-h)/2,setsar=1',
+      ].join(';');
+    }
 
-  tmpFiles.push(concatTempPath);
+    default:
+      throw new Error(`Unknown video fit mode "${fit}"`);
+  }
+}
 
-  //console.log('concat:\n', ffmpegConcatFile);
+// an expression that's non-zero when t is within any of the ranges.
+// returns null if there are no ranges
+function getTimeRangesExpr(ranges) {
+  if (ranges.length < 1) return null;
+  return ranges
+    .map(({ start, end }) => `gte(t,${start})*lt(t,${end})`)
+    .join('+');
+}
 
-  args = ['-f', 'concat', '-i', concatTempPath, '-c', 'copy', outputPath];
-  await runFfmpegCommandAsync(`concat_${ctxName}`, args);
+function getBlackFillFilter(enableExpr) {
+  return `drawbox=x=0:y=0:w=iw:h=ih:color=black:t=fill:enable='${enableExpr}'`;
+}
 
-  for (const path of tmpFiles) {
-    fs.rmSync(path);
-  }
+// the text is escaped twice: once for the filter option and once for the
+// filtergraph. '%' is left as is because expansion is off
+function escapeDrawtextText(str) {
+  const optEscaped = String(str).replace(/[\\':]/g, '\\$&');
+  return optEscaped.replace(/[\\'[\],;]/g, '\\$&');
 }
@@ -117,7 +117,7 @@ export function writeVcsBatchForTracks(
   fs.writeFileSync(batchOutFile, batchJson, { encoding: 'utf8' });
   fs.writeFileSync(inputTimingsOutFile, inputTimings, { encoding: 'utf8' });
 
-  console.log(
+  console.error(
     'JSON written to two files:\n%s\n%s',
     Path.resolve(batchOutFile),
     Path.resolve(inputTimingsOutFile)
@@ -0,0 +1,174 @@
+import { getFfmpegEncoders } from './ffmpeg-caps.js';
+
+// named encoder settings for normalized video tracks.
+// `container` is the file extension the encoded video should be written to.
+// `pixelFormat` is applied by the normalizer's filtergraph (default yuv420p).
+// keyframeInterval is in seconds; intra-only codecs don't use it.
+const kVideoEncoderProfiles = {
+  // what normalize-track has always written
+  default: {
+    codec: 'h264',
+    encoder: 'libx264',
+    bitrate: '5000k',
+    container: 'm4v',
+  },
+  // small files for web playback
+  web: {
+    codec: 'h264',
+    encoder: 'libx264',
+    crf: 26,
+    preset: 'slow',
+    keyframeInterval: 2,
+    container: 'm4v',
+    extraArgs: ['-movflags', '+faststart'],
+  },
+  h265: {
+    codec: 'h265',
+    encoder: 'libx265',
+    crf: 28,
+    preset: 'medium',
+    keyframeInterval: 2,
+    // the .m4v muxer only takes H.264. hvc1 is the tag Apple players need
+    container: 'mp4',
+    extraArgs: ['-tag:v', 'hvc1'],
+  },
+  vp9: {
+    codec: 'vp9',
+    encoder: 'libvpx-vp9',
+    crf: 32,
+    keyframeInterval: 2,
+    container: 'mp4',
+    extraArgs: ['-row-mt', '1'],
+  },
+  av1: {
+    codec: 'av1',
+    encoder: 'libsvtav1',
+    crf: 35,
+    preset: '8',
+    keyframeInterval: 2,
+    container: 'mp4',
+  },
+  // intra-frame mezzanine formats for editors
+  prores: {
+    codec: 'prores',
+    encoder: 'prores_ks',
+    intraOnly: true,
+    pixelFormat: 'yuv422p10le',
+    container: 'mov',
+    extraArgs: ['-profile:v', '3'],
+  },
+  dnxhr: {
+    codec: 'dnxhr',
+    encoder: 'dnxhd',
+    intraOnly: true,
+    pixelFormat: 'yuv422p',
+    container: 'mov',
+    extraArgs: ['-profile:v', 'dnxhr_hq'],
+  },
+};
+
+// profile used when only a codec is given
+const kDefaultProfileByCodec = {
+  h264: 'default',
+  h265: 'h265',
+  vp9: 'vp9',
+  av1: 'av1',
+  prores: 'prores',
+  dnxhr: 'dnxhr',
+};
+
+export const kVideoEncoderProfileNames = Object.keys(kVideoEncoderProfiles);
+export const kVideoCodecNames = Object.keys(kDefaultProfileByCodec);
+
+// returns a profile object from a name and optional overrides:
+//   { profile, codec, crf, bitrate, preset, keyframeInterval }
+// crf and bitrate are mutually exclusive; setting one clears the other.
+export function resolveVideoEncoderProfile(opts = {}) {
+  let name = opts.profile;
+  if (!name) {
+    name = opts.codec ? kDefaultProfileByCodec[opts.codec] : 'default';
+    if (!name) {
+      const expected = kVideoCodecNames.join(', ');
+      throw new Error(
+        `Unknown video codec "${opts.codec}", expected one of: ${expected}`
+      );
+    }
+  }
+  const base = kVideoEncoderProfiles[name];
+  if (!base) {
+    const expected = kVideoEncoderProfileNames.join(', ');
+    throw new Error(
+      `Unknown video profile "${name}", expected one of: ${expected}`
+    );
+  }
+  if (opts.codec && opts.codec !== base.codec) {
+    throw new Error(
+      `Video profile "${name}" uses codec ${base.codec}, not ${opts.codec}`
+    );
+  }
+
+  const profile = { name, ...base };
+
+  if (opts.crf != null) {
+    if (profile.intraOnly) {
+      throw new Error(`Video profile "${name}" doesn't support crf`);
+    }
+    profile.crf = opts.crf;
+    delete profile.bitrate;
+  } else if (opts.bitrate != null) {
+    profile.bitrate = opts.bitrate;
+    delete profile.crf;
+  }
+  if (opts.preset != null) profile.preset = opts.preset;
+  if (opts.keyframeInterval != null) {
+    profile.keyframeInterval = opts.keyframeInterval;
+  }
+
+  return profile;
+}
+
+// returns an error message if the local ffmpeg can't encode with this profile
+export function checkVideoEncoderProfileSupport(profile) {
+  const encoders = getFfmpegEncoders();
+  if (encoders.size > 0 && !encoders.has(profile.encoder)) {
+    const { encoder, name } = profile;
+    return `the local ffmpeg build has no ${encoder} encoder (needed for video profile "${name}")`;
+  }
+  return null;
+}
+
+export function getVideoEncoderArgs(profile, frameRate) {
+  const args = ['-c:v', profile.encoder];
+
+  if (profile.crf != null) {
+    args.push('-crf', profile.crf);
+    // constant quality mode in libvpx needs the bitrate set to zero
+    if (profile.encoder.startsWith('libvpx')) args.push('-b:v', '0');
+  }
+  if (profile.bitrate != null) args.push('-b:v', profile.bitrate);
+  if (profile.preset != null) args.push('-preset', profile.preset);
+  if (!profile.intraOnly && profile.keyframeInterval > 0) {
+    args.push(
+      '-g',
+      Math.max(1, Math.round(profile.keyframeInterval * frameRate))
+    );
+  }
+  if (profile.extraArgs) args.push(...profile.extraArgs);
+
+  // record the settings in the output file, so it's possible to tell later
+  // how a normalized track was encoded
+  args.push('-metadata', `comment=${describeVideoEncoderProfile(profile)}`);
+
+  return args;
+}
+
+export function describeVideoEncoderProfile(profile) {
+  const parts = [`rawtracks-video-profile=${profile.name}`, profile.encoder];
+  if (profile.crf != null) parts.push(`crf ${profile.crf}`);
+  if (profile.bitrate != null) parts.push(`bitrate ${profile.bitrate}`);
+  if (profile.preset != null) parts.push(`preset ${profile.preset}`);
+  if (!profile.intraOnly && profile.keyframeInterval > 0) {
+    parts.push(`keyint ${profile.keyframeInterval}s`);
+  }
+  return parts.join('; ');
+}
@@ -0,0 +1,146 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+import * as fs from 'node:fs';
+import * as os from 'node:os';
+import * as Path from 'node:path';
+
+// every job gets its own temp directory, so that concurrent runs on
+// same-named inputs can't clobber each other's intermediates and logs.
+// workspaces are removed when the process exits (normally, on an error,
+// or on SIGINT / SIGTERM for the CLI tools) unless they were created
+// with `keep`.
+
+const g_workspaces = new Set();
+const g_childProcesses = new Set();
+// set by runInWorkspace(), so concurrent library calls each log into
+// their own workspace
+const g_workspaceStorage = new AsyncLocalStorage();
+let g_activeWorkspace = null;
+let g_exitHandlerInstalled = false;
+let g_signalHandlersInstalled = false;
+
+export class Workspace {
+  constructor(dir, keep) {
+    this.dir = dir;
+    this.keep = keep;
+    this.removed = false;
+  }
+
+  path(...names) {
+    return Path.resolve(this.dir, ...names);
+  }
+
+  // removes the directory, unless the workspace should be kept.
+  // safe to call more than once.
+  cleanup() {
+    g_workspaces.delete(this);
+    if (g_activeWorkspace === this) g_activeWorkspace = null;
+    if (this.removed) return;
+
+    if (this.keep) {
+      console.error('Kept temp files at: %s', this.dir);
+      return;
+    }
+    try {
+      fs.rmSync(this.dir, { recursive: true, force: true });
+    } catch (e) {
+      console.error(
+        'Warning: could not remove temp dir %s: %s',
+        this.dir,
+        e.message
+      );
+    }
+    this.removed = true;
+  }
+}
+
+// opts:
+//   tmpDir: parent directory, defaults to TMPDIR or the system temp dir
+//   keep: if true, the files are left in place for debugging
+export function createWorkspace(label, opts = {}) {
+  const root = opts.tmpDir || process.env.TMPDIR || os.tmpdir();
+  fs.mkdirSync(root, { recursive: true });
+
+  const safeLabel = String(label).replace(/[^\w.-]/g, '_');
+  const dir = fs.mkdtempSync(Path.join(root, `rawtracks-${safeLabel}-`));
+  const ws = new Workspace(dir, !!opts.keep);
+  g_workspaces.add(ws);
+
+  installExitHandler();
+  return ws;
+}
+
+// the workspace used for ffmpeg and ffprobe logs.
+// if the caller hasn't set one, a default is created on first use.
+export function getActiveWorkspace() {
+  const scoped = g_workspaceStorage.getStore();
+  if (scoped) return scoped;
+  if (!g_activeWorkspace) g_activeWorkspace = createWorkspace('job');
+  return g_activeWorkspace;
+}
+
+export function setActiveWorkspace(ws) {
+  g_activeWorkspace = ws;
+}
+
+// runs the async function with `ws` as the active workspace for
+// everything it calls, without affecting other jobs running alongside
+export function runInWorkspace(ws, fn) {
+  return g_workspaceStorage.run(ws, fn);
+}
+
+// child processes are killed if the process is interrupted
+export function trackChildProcess(child) {
+  g_childProcesses.add(child);
+  child.on('close', () => g_childProcesses.delete(child));
+}
+
+// moves a finished output out of a workspace.
+// rename doesn't work across filesystems, so fall back to copying.
+export function moveFile(srcPath, dstPath) {
+  try {
+    fs.renameSync(srcPath, dstPath);
+  } catch (e) {
+    if (e.code !== 'EXDEV') throw e;
+    fs.copyFileSync(srcPath, dstPath);
+    fs.rmSync(srcPath);
+  }
+}
+
+function killChildProcesses() {
+  for (const child of g_childProcesses) {
+    if (child.exitCode == null) child.kill('SIGTERM');
+  }
+  g_childProcesses.clear();
+}
+
+function cleanupAll() {
+  killChildProcesses();
+  for (const ws of [...g_workspaces]) ws.cleanup();
+}
+
+function installExitHandler() {
+  if (g_exitHandlerInstalled) return;
+  g_exitHandlerInstalled = true;
+
+  // also runs after an uncaught error and on process.exit()
+  process.on('exit', cleanupAll);
+}
+
+// for the CLI tools: on SIGINT / SIGTERM, running ffmpeg processes are
+// stopped and temp files removed before exiting. library users handle
+// signals themselves, so this isn't done by default.
+export function exitOnTerminationSignals() {
+  if (g_signalHandlersInstalled) return;
+  g_signalHandlersInstalled = true;
+
+  for (const [signal, code] of [
+    ['SIGINT', 130],
+    ['SIGTERM', 143],
+  ]) {
+    process.on(signal, () => {
+      console.error('\nReceived %s, cleaning up', signal);
+      cleanupAll();
+      process.exit(code);
+    });
+  }
+}
@@ -0,0 +1,49 @@
+import assert from 'node:assert/strict';
+import * as fs from 'node:fs';
+import * as os from 'node:os';
+import * as Path from 'node:path';
+import { after, before, test } from 'node:test';
+
+import { analyzeTrack } from '../src/analyze-track.js';
+
+// a stand-in ffprobe for a 15 fps video track whose first frame
+// arrives two seconds into the recording
+const kFakeFfprobe = `#!/usr/bin/env node
+const lines = [];
+for (let i = 0; i <= 150; i++) {
+  lines.push('[FRAME]', 'media_type=video', 'pts_time=' + (2 + i / 15));
+  lines.push('duration_time=' + 1 / 15, 'width=640', 'height=360');
+  lines.push('[/FRAME]');
+}
+lines.push('[STREAM]', 'index=0', 'codec_name=vp8', 'codec_type=video');
+lines.push('width=640', 'height=360', 'r_frame_rate=1000/1');
+lines.push('start_time=2.000000', '[/STREAM]');
+console.log(lines.join('\\n'));
+`;
+
+let rootDir;
+let savedPath;
+
+before(() => {
+  rootDir = fs.mkdtempSync(Path.join(os.tmpdir(), 'rawtracks-test-'));
+
+  const binDir = Path.join(rootDir, 'bin');
+  fs.mkdirSync(binDir);
+  fs.writeFileSync(Path.join(binDir, 'ffprobe'), kFakeFfprobe, { mode: 0o755 });
+  savedPath = process.env.PATH;
+  process.env.PATH = `${binDir}${Path.delimiter}${process.env.PATH}`;
+});
+
+after(() => {
+  process.env.PATH = savedPath;
+  fs.rmSync(rootDir, { recursive: true, force: true });
+});
+
+test('measured frame rate of a late-starting track', async () => {
+  const analysis = await analyzeTrack('late', Path.join(rootDir, 'in.webm'));
+
+  // the lead-in before the first frame is reported as a gap,
+  // but it isn't taken out of the active duration twice
+  assert.deepEqual(analysis.gaps, [{ start: 0, end: 2 }]);
+  assert.equal(Math.round(analysis.measuredFrameRate * 100) / 100, 15);
+});
@@ -0,0 +1,178 @@
+import assert from 'node:assert/strict';
+import * as fs from 'node:fs';
+import * as os from 'node:os';
+import * as Path from 'node:path';
+import { after, before, test } from 'node:test';
+
+import { compositeTracks } from '../src/composite.js';
+
+// a recording with one camera track, and stand-ins for the VCS tools
+// and ffprobe. a dry run only checks that the tools exist, and ffprobe
+// answers the probes with fixed values
+const kRawTrackFile =
+  '1700000000000-aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa-cam-video-1700000001000.webm';
+
+const kFakeFfprobe = `#!/usr/bin/env node
+const fs = require('node:fs');
+const args = process.argv.slice(2);
+if (args.includes('format=duration')) {
+  // a cached file can give its duration as its contents
+  const m = /^duration=(\\S+)/.exec(fs.readFileSync(args.at(-1), 'utf-8'));
+  console.log(m ? m[1] : '10.0');
+} else if (args.includes('stream=width,height')) {
+  console.log('640,360');
+} else if (args.includes('-show_frames')) {
+  const lines = [];
+  for (let i = 0; i < 300; i++) {
+    lines.push('[FRAME]', 'media_type=video', 'pts_time=' + i / 30);
+    lines.push('duration_time=0.033333', 'width=640', 'height=360');
+    lines.push('pix_fmt=yuv420p', '[/FRAME]');
+  }
+  lines.push('[STREAM]', 'index=0', 'codec_name=vp8', 'codec_type=video');
+  lines.push('width=640', 'height=360', 'r_frame_rate=30/1');
+  lines.push('start_time=0.000000', '[/STREAM]');
+  console.log(lines.join('\\n'));
+} else {
+  process.exit(1);
+}
+`;
+
+let rootDir;
+let savedPath;
+
+before(() => {
+  rootDir = fs.mkdtempSync(Path.join(os.tmpdir(), 'rawtracks-test-'));
+
+  const binDir = Path.join(rootDir, 'bin');
+  fs.mkdirSync(binDir);
+  fs.writeFileSync(Path.join(binDir, 'ffprobe'), kFakeFfprobe, { mode: 0o755 });
+  savedPath = process.env.PATH;
+  process.env.PATH = `${binDir}${Path.delimiter}${process.env.PATH}`;
+
+  fs.mkdirSync(Path.join(rootDir, 'vcsrender', 'build'), { recursive: true });
+  fs.writeFileSync(Path.join(rootDir, 'vcsrender', 'build', 'vcsrender'), '');
+  fs.mkdirSync(Path.join(rootDir, 'vcs-sdk', 'js'), { recursive: true });
+  fs.writeFileSync(
+    Path.join(rootDir, 'vcs-sdk', 'js', 'vcs-batch-runner.js'),
+    ''
+  );
+});
+
+after(() => {
+  process.env.PATH = savedPath;
+  fs.rmSync(rootDir, { recursive: true, force: true });
+});
+
+// writes a recording dir with the raw track and its manifest
+function writeRecording(name, trackProps = {}) {
+  const dir = Path.join(rootDir, name);
+  fs.mkdirSync(dir);
+  fs.writeFileSync(Path.join(dir, kRawTrackFile), 'not really a webm');
+  const manifestPath = Path.join(dir, 'raw-tracks-manifest.json');
+  fs.writeFileSync(
+    manifestPath,
+    JSON.stringify({
+      recordingStartTs: 1700000000000,
+      participants: [
+        {
+          id: 'aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa',
+          tracks: [
+            {
+              file: kRawTrackFile,
+              mediaType: 'cam-video',
+              startTs: 1700000001000,
+              startOffsetSecs: 1,
+              ...trackProps,
+            },
+          ],
+        },
+      ],
+    })
+  );
+  return manifestPath;
+}
+
+function getDryRunOpts(manifestPath, cacheDir) {
+  return {
+    manifestPath,
+    vcsRenderPath: Path.join(rootDir, 'vcsrender'),
+    vcsSdkPath: Path.join(rootDir, 'vcs-sdk'),
+    cacheDir,
+    tmpDir: Path.join(rootDir, 'tmp'),
+    dryRun: true,
+  };
+}
+
+// writes a normalized file for the track into the cache.
+// the fake ffprobe reports `durationSecs` for it
+function writeCachedTrack(cacheDir, durationSecs) {
+  const cachedFile = Path.join(
+    cacheDir,
+    'sync_120ms',
+    `${Path.basename(kRawTrackFile, '.webm')}_normalized.m4v`
+  );
+  fs.mkdirSync(Path.dirname(cachedFile), { recursive: true });
+  fs.writeFileSync(cachedFile, `duration=${durationSecs}\n`);
+}
+
+test('dry run uses a normalized track found in the cache', async () => {
+  const manifestPath = writeRecording('cached', { syncOffsetMs: 120 });
+  const cacheDir = Path.join(rootDir, 'cached-cache');
+  writeCachedTrack(cacheDir, 10);
+
+  const { durationSecs, plan } = await compositeTracks(
+    getDryRunOpts(manifestPath, cacheDir)
+  );
+
+  assert.equal(durationSecs, 10);
+  // the cached track isn't normalized again. it's probed for real
+  // to get its duration, so the probe isn't in the plan
+  assert.equal(plan.tracks.length, 0);
+  assert.ok(!plan.commands.some((c) => c.tool === 'ffprobe'));
+  assert.ok(plan.commands.some((c) => c.tool === 'build/vcsrender'));
+  assert.deepEqual(
+    plan.segments.map(({ startFrame, numFrames }) => [startFrame, numFrames]),
+    [[0, 300]]
+  );
+});
+
+test('the last render segment covers the remaining frames', async () => {
+  const manifestPath = writeRecording('long', { syncOffsetMs: 120 });
+  const cacheDir = Path.join(rootDir, 'long-cache');
+  writeCachedTrack(cacheDir, 50.1);
+
+  const { plan } = await compositeTracks(
+    getDryRunOpts(manifestPath, cacheDir)
+  );
+
+  // 1503 frames at 30 fps, in segments of 600
+  assert.deepEqual(
+    plan.segments.map(({ startFrame, numFrames }) => [startFrame, numFrames]),
+    [
+      [0, 600],
+      [600, 600],
+      [1200, 303],
+    ]
+  );
+});
+
+test("dry run doesn't create the cache dirs", async () => {
+  const manifestPath = writeRecording('uncached', { syncOffsetMs: 120 });
+  const cacheDir = Path.join(rootDir, 'uncached-cache');
+
+  const { durationSecs, plan } = await compositeTracks(
+    getDryRunOpts(manifestPath, cacheDir)
+  );
+
+  assert.equal(fs.existsSync(cacheDir), false);
+  assert.equal(plan.tracks.length, 1);
+  assert.equal(
+    plan.tracks[0].output,
+    Path.join(
+      cacheDir,
+      'sync_120ms',
+      `${Path.basename(kRawTrackFile, '.webm')}_normalized.m4v`
+    )
+  );
+  assert.ok(durationSecs > 0);
+});
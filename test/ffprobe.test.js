@@ -0,0 +1,158 @@
+import assert from 'node:assert/strict';
+import * as fs from 'node:fs';
+import * as os from 'node:os';
+import * as Path from 'node:path';
+import { after, before, test } from 'node:test';
+
+import { FfprobeOutputParser, streamFfprobeItems } from '../src/ffprobe.js';
+import { createWorkspace, runInWorkspace } from '../src/workspace.js';
+
+const kFrameText = [
+  '[FRAME]',
+  'media_type=video',
+  'pts=3000',
+  'pts_time=0.033333',
+  'width=640',
+  'height=360',
+  '[/FRAME]',
+  '',
+].join('\n');
+
+// pushes the chunks in order and returns every item the parser completed
+function parseChunks(chunks) {
+  const parser = new FfprobeOutputParser();
+  const items = [];
+  for (const chunk of chunks) items.push(...parser.push(chunk));
+  items.push(...parser.end());
+  return items;
+}
+
+test('parser joins a section split mid-line and mid-marker', () => {
+  const splitAt = [
+    kFrameText.indexOf('_time=') + 3,
+    kFrameText.indexOf('[/FRAME]') + 4,
+  ];
+  const items = parseChunks([
+    kFrameText.slice(0, splitAt[0]),
+    kFrameText.slice(splitAt[0], splitAt[1]),
+    kFrameText.slice(splitAt[1]),
+  ]);
+
+  assert.deepEqual(items, [
+    {
+      type: 'frame',
+      item: {
+        media_type: 'video',
+        pts: 3000,
+        pts_time: 0.033333,
+        width: 640,
+        height: 360,
+      },
+    },
+  ]);
+});
+
+test('parser gives the same items for any chunk size', () => {
+  const text = kFrameText + kFrameText;
+  const expected = parseChunks([text]);
+  assert.equal(expected.length, 2);
+
+  for (const size of [1, 2, 7, 16]) {
+    const chunks = [];
+    for (let i = 0; i < text.length; i += size) {
+      chunks.push(text.slice(i, i + size));
+    }
+    assert.deepEqual(parseChunks(chunks), expected);
+  }
+});
+
+test('parser accepts \\r\\n line endings', () => {
+  const items = parseChunks([kFrameText.replace(/\n/g, '\r\n')]);
+
+  assert.equal(items.length, 1);
+  assert.equal(items[0].item.media_type, 'video');
+  assert.equal(items[0].item.height, 360);
+});
+
+test('parser flattens nested side data into the parent item', () => {
+  const items = parseChunks([
+    [
+      '[FRAME]',
+      'media_type=video',
+      'width=360',
+      '[SIDE_DATA]',
+      'side_data_type=Display Matrix',
+      'rotation=-90',
+      '[/SIDE_DATA]',
+      'height=640',
+      '[/FRAME]',
+      '',
+    ].join('\n'),
+  ]);
+
+  assert.deepEqual(items, [
+    {
+      type: 'frame',
+      item: {
+        media_type: 'video',
+        width: 360,
+        side_data_type: 'Display Matrix',
+        rotation: '-90',
+        height: 640,
+      },
+    },
+  ]);
+});
+
+test('parser end() throws on an unterminated section', () => {
+  const parser = new FfprobeOutputParser();
+  const items = parser.push('[FRAME]\nmedia_type=video\npts_time=0.1');
+  assert.deepEqual(items, []);
+  assert.throws(() => parser.end(), /Unsupported data/);
+});
+
+// a stand-in ffprobe that writes half a frame and then hangs
+const kHangingFfprobe = `#!/usr/bin/env node
+process.stdout.write('[FRAME]\\nmedia_type=video\\npts_time=0.0');
+setInterval(() => {}, 1000);
+`;
+
+let rootDir;
+let savedPath;
+
+before(() => {
+  rootDir = fs.mkdtempSync(Path.join(os.tmpdir(), 'rawtracks-test-'));
+
+  const binDir = Path.join(rootDir, 'bin');
+  fs.mkdirSync(binDir);
+  fs.writeFileSync(Path.join(binDir, 'ffprobe'), kHangingFfprobe, {
+    mode: 0o755,
+  });
+  savedPath = process.env.PATH;
+  process.env.PATH = `${binDir}${Path.delimiter}${process.env.PATH}`;
+});
+
+after(() => {
+  process.env.PATH = savedPath;
+  fs.rmSync(rootDir, { recursive: true, force: true });
+});
+
+test('aborting mid-section rejects with an AbortError', async () => {
+  const ws = createWorkspace('test', { tmpDir: Path.join(rootDir, 'tmp') });
+  const ac = new AbortController();
+
+  await runInWorkspace(ws, async () => {
+    const items = streamFfprobeItems('abort', ['-show_frames', 'in.webm'], {
+      signal: ac.signal,
+    });
+    setTimeout(() => ac.abort(), 200);
+
+    await assert.rejects(
+      async () => {
+        for await (const _ of items);
+      },
+      { name: 'AbortError' }
+    );
+  });
+  ws.cleanup();
+});